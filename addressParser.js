@@ -0,0 +1,67 @@
+const { domainToASCII, domainToUnicode } = require('url');
+
+/**
+ * Sender address parsing: display names, comments, quoted local parts, plus-addressing and IDN domains.
+ */
+
+/**
+ * Normalize a domain to lowercase ASCII (punycode), so "bücher.example" and "xn--bcher-kva.example" compare equal
+ * @param {string} domain - Domain as written
+ * @returns {string} - Normalized domain ('' if empty)
+ */
+function normalizeDomain(domain = '') {
+    const trimmed = domain.trim().replace(/\.$/, '').toLowerCase();
+    if (!trimmed) return '';
+    return domainToASCII(trimmed) || trimmed; // domainToASCII returns '' for things it can't convert
+}
+
+/**
+ * Pull the bare address out of an address header value.
+ * '"Jane Doe" <jane@mail.example.com>' -> 'jane@mail.example.com', 'jane@example.com (Jane)' -> 'jane@example.com'
+ * @param {string} value - From header value
+ * @returns {Object} - { address, displayName }
+ */
+function extractAddress(value = '') {
+    const angle = value.match(/<([^<>]*)>\s*$/);
+    if (angle) {
+        const displayName = value.slice(0, angle.index).trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+        return { address: angle[1].trim(), displayName };
+    }
+    // No angle brackets: drop RFC 822 comments like "(Jane)"
+    return { address: value.replace(/\([^()]*\)/g, '').trim(), displayName: '' };
+}
+
+/**
+ * Parse the sender of an email. Postmark's FromFull is preferred over the From string when present.
+ * @param {Object} emailData - Email in the internal shape
+ * @returns {Object} - { address, localPart, baseLocalPart, domain, unicodeDomain, displayName }
+ *   address and domain are lowercased, domain is ASCII/punycode; baseLocalPart has any "+tag" removed
+ */
+function parseSender(emailData) {
+    const fromFull = emailData.FromFull;
+    const { address: rawAddress, displayName } = fromFull?.Email
+        ? { address: fromFull.Email, displayName: fromFull.Name || '' }
+        : extractAddress(String(emailData.From || ''));
+
+    // Split on the last @ so quoted local parts like "a@b"@example.com still work
+    const at = rawAddress.lastIndexOf('@');
+    const rawLocal = at === -1 ? rawAddress : rawAddress.slice(0, at);
+    const localPart = rawLocal.replace(/^"(.*)"$/, '$1').toLowerCase();
+    const domain = at === -1 ? '' : normalizeDomain(rawAddress.slice(at + 1));
+    const baseLocalPart = localPart.split('+')[0];
+
+    return {
+        address: domain ? `${localPart}@${domain}` : localPart,
+        localPart,
+        baseLocalPart,
+        domain,
+        unicodeDomain: domain ? domainToUnicode(domain) : '',
+        displayName
+    };
+}
+
+module.exports = {
+    parseSender,
+    extractAddress,
+    normalizeDomain
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time so the token can't be guessed byte by byte
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Whether a request carries the admin token (for routes that show more to admins instead of refusing others)
+ * @param {Object} req - Express request
+ * @returns {boolean} - True with a valid "Authorization: Bearer <ADMIN_API_TOKEN>"
+ */
+function hasAdminToken(req) {
+    const token = process.env.ADMIN_API_TOKEN;
+    const [scheme, provided] = (req.get('authorization') || '').split(' ');
+    return Boolean(token) && scheme === 'Bearer' && Boolean(provided) && safeEqual(provided, token);
+}
+
+/**
+ * Express middleware guarding the admin endpoints.
+ * Expects "Authorization: Bearer <ADMIN_API_TOKEN>"; the admin API is off entirely if the token isn't set.
+ */
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+        return res.status(503).json({ success: false, error: 'Admin API is disabled (ADMIN_API_TOKEN is not set)' });
+    }
+
+    if (!hasAdminToken(req)) {
+        console.warn(`Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    next();
+}
+
+module.exports = {
+    hasAdminToken,
+    requireAdmin,
+    safeEqual
+};
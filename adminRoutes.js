@@ -0,0 +1,138 @@
+const express = require('express');
+const { requireAdmin } = require('./adminAuth');
+const { filterConfig } = require('./emailfilter');
+const { RULE_GROUPS, loadConfig, updateRuleGroup } = require('./configStore');
+const { getCircuitStatus, resetCircuit } = require('./moderationCircuit');
+const { listEntries: listQuarantine } = require('./quarantineStore');
+const { loadSinks, describeSinks } = require('./sinks');
+const { loadTenants, listTenants, getTenant } = require('./tenants');
+const { listRecentNotifications } = require('./senderNotifier');
+
+// Admin endpoints for viewing and editing filterConfig at runtime, mounted under /api/admin
+const router = express.Router();
+router.use(requireAdmin);
+
+/**
+ * Make sure the :group param names an editable rule group
+ */
+function requireRuleGroup(req, res, next) {
+    if (!RULE_GROUPS.includes(req.params.group)) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown rule group '${req.params.group}'. Expected one of: ${RULE_GROUPS.join(', ')}`
+        });
+    }
+    next();
+}
+
+/**
+ * Validate, apply and persist a new value for a rule group, then send the response
+ */
+async function applyUpdate(req, res, value) {
+    try {
+        const result = await updateRuleGroup(filterConfig, req.params.group, value);
+        if (result.errors) {
+            return res.status(400).json({ success: false, error: 'Invalid rule group', details: result.errors });
+        }
+        console.log(`Admin updated rule group '${req.params.group}'`);
+        res.json({ success: true, ruleGroup: req.params.group, config: result.value });
+    } catch (error) {
+        console.error('Error saving filter config:', error);
+        res.status(500).json({ success: false, error: 'Error saving filter config' });
+    }
+}
+
+// Whole config
+router.get('/config', (req, res) => {
+    const config = {};
+    RULE_GROUPS.forEach(name => {
+        config[name] = filterConfig[name];
+    });
+    res.json({ success: true, config });
+});
+
+// Re-read the config file, e.g. after editing it by hand
+router.post('/config/reload', (req, res) => {
+    const loaded = loadConfig(filterConfig);
+    res.json({ success: true, reloaded: loaded });
+});
+
+// Moderation provider health: circuit breaker state per provider and how many emails are held for re-moderation
+router.get('/moderation/status', (req, res) => {
+    res.json({
+        success: true,
+        availability: filterConfig.moderation.availability,
+        circuits: getCircuitStatus(),
+        held: listQuarantine({ status: 'quarantined', reason: 'MODERATION_HELD' }).length
+    });
+});
+
+// Close a provider's circuit by hand so the next email calls it again
+router.post('/moderation/circuit/:provider/reset', (req, res) => {
+    resetCircuit(req.params.provider);
+    console.log(`Admin reset the moderation circuit for ${req.params.provider}`);
+    res.json({ success: true, circuits: getCircuitStatus() });
+});
+
+// Output sinks currently loaded (URLs shortened to their host)
+router.get('/sinks', (req, res) => {
+    res.json({ success: true, sinks: describeSinks() });
+});
+
+// Re-read the sink config, e.g. after editing config/sinks.json (and the tenants, whose sink names may have changed)
+router.post('/sinks/reload', (req, res) => {
+    loadSinks(filterConfig.redaction);
+    loadTenants(filterConfig);
+    console.log('Admin reloaded the output sinks');
+    res.json({ success: true, sinks: describeSinks() });
+});
+
+// Sender notifications sent in the last hour, newest first
+router.get('/notifications', (req, res) => {
+    res.json({ success: true, notifications: listRecentNotifications() });
+});
+
+// Tenant policies: who they apply to, what they override and where their verdicts go
+router.get('/tenants', (req, res) => {
+    res.json({ success: true, tenants: listTenants() });
+});
+
+// Re-read the tenants file, e.g. after editing config/tenants.json
+router.post('/tenants/reload', (req, res) => {
+    loadTenants(filterConfig);
+    console.log('Admin reloaded the tenant policies');
+    res.json({ success: true, tenants: listTenants() });
+});
+
+// A tenant's effective config: the default rule groups with its overrides applied
+router.get('/tenants/:name/config', (req, res) => {
+    const tenant = getTenant(req.params.name, filterConfig);
+    if (tenant.name !== req.params.name) {
+        return res.status(404).json({ success: false, error: `Unknown tenant '${req.params.name}'` });
+    }
+    const config = {};
+    RULE_GROUPS.forEach(name => {
+        config[name] = tenant.config[name];
+    });
+    res.json({ success: true, tenant: tenant.name, sinks: tenant.sinks, config });
+});
+
+// Single rule group
+router.get('/config/:group', requireRuleGroup, (req, res) => {
+    res.json({ success: true, ruleGroup: req.params.group, config: filterConfig[req.params.group] });
+});
+
+// Replace a rule group
+router.put('/config/:group', requireRuleGroup, (req, res) => {
+    applyUpdate(req, res, req.body);
+});
+
+// Change some fields of a rule group, e.g. { "mode": "all" }
+router.patch('/config/:group', requireRuleGroup, (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ success: false, error: 'Request body must be a JSON object' });
+    }
+    applyUpdate(req, res, { ...filterConfig[req.params.group], ...req.body });
+});
+
+module.exports = router;
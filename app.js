@@ -9,20 +9,53 @@ const express = require('express'); // Express framework for building web applic
 const path = require('path'); // Path module to work with file and directory paths
 const { exec } = require('child_process'); // Node.js module to execute shell commands
 const { 
-    processEmail, 
-    checkAttachmentCount, 
+    evaluateEmail, 
     filterConfig, 
-    checkContentModeration, 
-    handlePostmarkWebhook 
+    handlePostmarkWebhook,
+    handleRawMimeWebhook,
+    handleSendGridWebhook,
+    handleMailgunWebhook,
+    startRemoderationWorker
 } = require('./emailfilter'); // Custom email filtering module
+const adminRoutes = require('./adminRoutes'); // Admin API for editing filterConfig at runtime
+const { verifyWebhook, isWebhookAuthConfigured } = require('./webhookAuth'); // Inbound webhook verification
+const outboxRoutes = require('./outboxRoutes'); // Admin API for failed sink deliveries
+const quarantineRoutes = require('./quarantineRoutes'); // Review API for blocked/quarantined emails
+const reputationRoutes = require('./reputationRoutes'); // Sender rate limit counters and temporary blocks
+const jobRoutes = require('./jobRoutes'); // Status of queued inbound emails
+const historyRoutes = require('./historyRoutes'); // Processed emails with their verdicts, plus a live SSE stream
+const { hasAdminToken } = require('./adminAuth');
+const { startOutboxWorker } = require('./outbox');
+const { startJobWorkers } = require('./jobQueue');
+const { parseFormBody } = require('./ingest'); // form-data parsing for SendGrid/Mailgun webhooks
+const { parseSender } = require('./addressParser');
+const { installConsoleRedaction } = require('./redaction');
+const { DEFAULT_TENANT, getTenant } = require('./tenants');
+const { addEntry: addHistoryEntry, getEntry: getHistoryEntry, getLatestEntry, listEntries: listHistoryEntries } = require('./inboxHistory');
 //i am creating const func and var that are assigned to what we chose to export from emailfilter.js
 const bodyParser = require('express').json();
 
+// Everything logged from here on goes through the logs redaction policy (filterConfig.redaction.logs)
+installConsoleRedaction(() => filterConfig.redaction?.logs);
+
 // Create an instance of an Express application
 const app = express();
 
+// Behind Cloud Run or another proxy, req.ip is only the real client address if Express trusts the proxy
+// (needed for WEBHOOK_IP_ALLOWLIST). Set TRUST_PROXY to "true" or to the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
+// Keep the exact request bytes for webhook HMAC verification
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+
 // Important: Add middleware BEFORE routes
-app.use(express.json({ limit: '10mb' })); //10 megabytes. is also postmark's limit
+app.use(express.json({
+    limit: '10mb', //10 megabytes. is also postmark's limit
+    verify: captureRawBody
+}));
 //This is Express’s built-in middleware that parses application/json request bodies 
 // (like {"name": "Alice"}), and makes the result available on req.body.
 // 10 megabytes maximum size of the incoming JSON payload that the server will accept
@@ -63,8 +96,8 @@ function openBrowser(url) {
     });
 }
 
-// Add a variable to store the temporary email data
-let tempEmailData = null;
+// Verdict for the sample file, evaluated on first use so the dashboard doesn't re-run moderation on every GET
+let sampleResult = null;
 
 // Read the JSON file when the application starts if not cloud run bc doesn't exit on cloud run
 //reading sample_postmark_email.json and adding boba to top when display
@@ -81,110 +114,122 @@ if (process.env.NODE_ENV !== 'production') {
   }
   
 
-// Modify the GET endpoint to handle async processEmail
-app.get('/api/json-data', async (req, res) => {
-    if (tempEmailData) {
-        try {
-            const isAllowed = await processEmail(tempEmailData);
-            const moderationResult = await checkContentModeration(tempEmailData);
-            
-            const jsonData = {
-                message: "boba",
-                filterResults: {
-                    isAllowed: isAllowed,
-                    filterConfig: filterConfig,
-                    contentModeration: {
-                        text: {
-                            passed: !moderationResult.text.flagged,
-                            categories: moderationResult.text.categories,
-                            scores: moderationResult.text.categoryScores
-                        },
-                        images: moderationResult.images.map(img => ({
-                            type: img.type,
-                            filename: img.filename || 'inline-image',
-                            passed: !img.moderation.flagged,
-                            categories: img.moderation.categories,
-                            scores: img.moderation.category_scores
-                        })),
-                        summary: moderationResult.summary,
-                        overallPassed: moderationResult.overallPassed
-                    },
-                    lengthValidation: {
-                        passedMinLength: tempEmailData.From.split('@')[0].length >= filterConfig.length.min,
-                        passedMaxLength: tempEmailData.From.length <= filterConfig.length.max,
-                        requirements: {
-                            minUsernameLength: filterConfig.length.min,
-                            maxEmailLength: filterConfig.length.max
-                        }
-                    },
-                    attachmentNum: checkAttachmentCount(tempEmailData.Attachments)
-                },
-                email: tempEmailData
-            };
-            res.json(jsonData);
-        } catch (error) {
-            console.error('Error processing email:', error);
-            res.status(500).send('Error processing email');
-        }
-    } else {
-        // Otherwise serve the file data with filter results
-        fs.readFile(jsonFilePath, 'utf8', async (err, data) => { // Make this async
-            if (err) {
-                console.error('Error reading the JSON file:', err);
-                res.status(500).send('Error reading the JSON file');
-                return;
+/**
+ * Build the filterResults block shown on the dashboard from a single verdict
+ * @param {Object} emailData - The email that was evaluated
+ * @param {Object} verdict - Result of evaluateEmail for that email
+ * @returns {Object} - filterResults for the JSON response
+ */
+function buildFilterResults(emailData, verdict) {
+    const moderationResult = verdict.moderation;
+    const sender = parseSender(emailData);
+    const config = getTenant(verdict.tenant || DEFAULT_TENANT, filterConfig).config; // the policy that was applied
+    return {
+        isAllowed: verdict.isAllowed,
+        decision: verdict.decision,
+        tenant: verdict.tenant || DEFAULT_TENANT,
+        filterConfig: config,
+        contentModeration: {
+            text: {
+                passed: !moderationResult.text.flagged,
+                categories: moderationResult.text.categories,
+                scores: moderationResult.text.categoryScores
+            },
+            images: moderationResult.images.map(img => ({
+                type: img.type,
+                filename: img.filename || 'inline-image',
+                passed: !img.moderation.flagged,
+                categories: img.moderation.categories,
+                scores: img.moderation.category_scores
+            })),
+            summary: moderationResult.summary,
+            action: moderationResult.action,
+            violations: moderationResult.violations,
+            overallPassed: moderationResult.overallPassed,
+            unavailable: Boolean(moderationResult.unavailable) // provider down or timed out; see decision for the failure policy
+        },
+        lengthValidation: {
+            passedMinLength: sender.localPart.length >= config.length.min,
+            passedMaxLength: sender.address.length <= config.length.max,
+            requirements: {
+                minUsernameLength: config.length.min,
+                maxEmailLength: config.length.max
             }
-            const originalData = JSON.parse(data);
-            const moderationResult = await checkContentModeration(originalData);
-            const jsonData = {
-                message: "boba",
-                filterResults: {
-                    isAllowed: await processEmail(originalData), // Make this await
-                    filterConfig: filterConfig,
-                    contentModeration: {
-                        text: {
-                            passed: !moderationResult.text.flagged,
-                            categories: moderationResult.text.categories,
-                            scores: moderationResult.text.categoryScores
-                        },
-                        images: moderationResult.images.map(img => ({
-                            type: img.type,
-                            filename: img.filename || 'inline-image',
-                            passed: !img.moderation.flagged,
-                            categories: img.moderation.categories,
-                            scores: img.moderation.category_scores
-                        })),
-                        summary: moderationResult.summary,
-                        overallPassed: moderationResult.overallPassed
-                    },
-                    lengthValidation: {
-                        passedMinLength: originalData.From.split('@')[0].length >= filterConfig.length.min,
-                        passedMaxLength: originalData.From.length <= filterConfig.length.max,
-                        requirements: {
-                            minUsernameLength: filterConfig.length.min,
-                            maxEmailLength: filterConfig.length.max
-                        }
-                    },
-                    attachmentNum: checkAttachmentCount(originalData.Attachments)
-                },
-                email: originalData
-            };
-
-            const imagePath = path.join(__dirname, 'public', 'image.png');
-            fs.readFile(imagePath, (imageErr, imageData) => {
-                if (imageErr) {
-                    console.error('Error reading the image file:', imageErr);
-                    res.status(500).send('Error reading the image file');
-                    return;
-                }
-                jsonData.imageBase64 = imageData.toString('base64');
-                res.json(jsonData);
-            });
+        },
+        attachmentNum: verdict.checks.attachments,
+        attachments: verdict.attachments,
+        links: verdict.links,
+        classification: verdict.classification || null // category, confidence, rationale and routing tags
+    };
+}
+
+/**
+ * Evaluate the sample email once and keep the result
+ * @returns {Promise<Object>} - { email, verdict, imageBase64 }
+ */
+function loadSampleResult() {
+    if (!sampleResult) {
+        sampleResult = (async () => {
+            const email = JSON.parse(await fs.promises.readFile(jsonFilePath, 'utf8'));
+            const verdict = await evaluateEmail(email);
+            const imageData = await fs.promises.readFile(path.join(__dirname, 'public', 'image.png'));
+            return { email, verdict, imageBase64: imageData.toString('base64') };
+        })();
+        sampleResult.catch(() => { sampleResult = null; }); // try again on the next request
+    }
+    return sampleResult;
+}
+
+/**
+ * The newest history entry a dashboard request may see
+ * @param {boolean} admin - Whether the request has the admin token
+ * @returns {Object|null} - The latest entry, or for everyone else the latest one posted to /api/email
+ */
+function latestVisibleEntry(admin) {
+    if (admin) {
+        return getLatestEntry();
+    }
+    const [latestLocal] = listHistoryEntries({ source: 'local' }, 1, 1).entries;
+    return latestLocal ? getHistoryEntry(latestLocal.id) : null;
+}
+
+// Dashboard data: the stored verdict of the latest processed email (or ?id=<history id>), without evaluating it again.
+// Before any email has been processed it shows the sample file. Inbound mail is only shown with the admin token
+// (like /api/history); without it only emails posted to /api/email are.
+app.get('/api/json-data', async (req, res) => {
+    const admin = hasAdminToken(req);
+    let entry = req.query.id ? getHistoryEntry(req.query.id) : latestVisibleEntry(admin);
+    if (entry && !admin && entry.source !== 'local') {
+        entry = null;
+    }
+    if (req.query.id && !entry) {
+        return res.status(404).send('History entry not found');
+    }
+    if (entry) {
+        return res.json({
+            message: "boba",
+            historyId: entry.id,
+            receivedAt: entry.receivedAt,
+            filterResults: buildFilterResults(entry.email, entry.verdict),
+            email: entry.email
+        });
+    }
+
+    try {
+        const { email, verdict, imageBase64 } = await loadSampleResult();
+        res.json({
+            message: "boba",
+            filterResults: buildFilterResults(email, verdict),
+            email,
+            imageBase64
         });
+    } catch (error) {
+        console.error('Error loading the sample email:', error);
+        res.status(500).send('Error loading the sample email');
     }
 });
 
-// Modify the POST endpoint to use temporary storage instead of file
+// Evaluate a posted email and add it to the history so the dashboard shows it (local testing only; not saved to the sinks)
 app.post('/api/email', (req, res) => { //local testing only
     let emailData = '';
 
@@ -193,28 +238,79 @@ app.post('/api/email', (req, res) => { //local testing only
         emailData += chunk;
     });
 
-    req.on('end', () => {
+    req.on('end', async () => {
+        let parsedEmail;
         try {
-            const parsedEmail = JSON.parse(emailData);
-            // Store the new email data in memory instead of writing to file
-            tempEmailData = parsedEmail;
+            parsedEmail = JSON.parse(emailData);
+        } catch (error) {
+            console.error('Error parsing the email data:', error);
+            return res.status(400).send('Invalid email data');
+        }
+        try {
+            const verdict = await evaluateEmail(parsedEmail);
+            await addHistoryEntry(parsedEmail, verdict, { source: 'local' });
 
-            // Open a new browser window to display the temporary email data
+            // Open a new browser window to display the email
             openBrowser('http://localhost:3000');
             res.status(200).send('Email received and browser window opened');
-    } catch (error) {
-            console.error('Error parsing the email data:', error);
-            res.status(400).send('Invalid email data');
-    }
+        } catch (error) {
+            console.error('Error processing email:', error);
+            res.status(500).send('Error processing email');
+        }
     });
 });
 
+// Admin API: view and edit filterConfig rule groups (requires ADMIN_API_TOKEN)
+app.use('/api/admin', adminRoutes);
+
+// Outbox: list, replay or discard dead-lettered sink deliveries (requires ADMIN_API_TOKEN)
+app.use('/api/outbox', outboxRoutes);
+
+// Quarantine: list, view, release or delete held emails; trust or block their senders (requires ADMIN_API_TOKEN)
+app.use('/api/quarantine', quarantineRoutes);
+
+// Sender reputation: rate limit counters per address/domain/IP and temporary blocks (requires ADMIN_API_TOKEN)
+app.use('/api/reputation', reputationRoutes);
+
+// Jobs: webhooks answer 202 right away; look up queued/processing/done/failed and the verdict by MessageID (requires ADMIN_API_TOKEN)
+app.use('/api/jobs', jobRoutes);
+
+// History: processed emails with their stored verdicts, paginated and filterable, and a live stream at /api/history/stream (requires ADMIN_API_TOKEN)
+app.use('/api/history', historyRoutes);
+
 // Update the webhook route to include Google Sheets integration
-app.post('/webhook/email', handlePostmarkWebhook);
+// verifyWebhook checks Basic credentials / HMAC signature / source IP before anything is processed
+app.post('/webhook/email', verifyWebhook, handlePostmarkWebhook);
+
+// Other inbound sources, normalized into the same shape as Postmark's JSON (see ingest.js)
+// Raw RFC 822 / .eml message as the request body
+app.post('/webhook/raw',
+    express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: '30mb', verify: captureRawBody }),
+    verifyWebhook,
+    handleRawMimeWebhook);
+// SendGrid Inbound Parse posts multipart/form-data
+app.post('/webhook/sendgrid',
+    express.raw({ type: 'multipart/form-data', limit: '30mb', verify: captureRawBody }),
+    verifyWebhook,
+    parseFormBody,
+    handleSendGridWebhook);
+// Mailgun routes post multipart/form-data (with attachments) or urlencoded
+app.post('/webhook/mailgun',
+    express.raw({ type: 'multipart/form-data', limit: '30mb', verify: captureRawBody }),
+    express.urlencoded({ extended: false, limit: '30mb', verify: captureRawBody }),
+    verifyWebhook,
+    parseFormBody,
+    handleMailgunWebhook);
 
 // Start the server and listen on the specified port
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
+    startJobWorkers(); // process queued inbound emails (JOB_CONCURRENCY at a time)
+    startOutboxWorker(); // retry pending sink deliveries in the background
+    startRemoderationWorker(); // re-moderate emails held during a moderation outage
+    if (!isWebhookAuthConfigured()) {
+        console.warn('WARNING: /webhook/email is unauthenticated. Set WEBHOOK_BASIC_USER/WEBHOOK_BASIC_PASSWORD, WEBHOOK_HMAC_SECRET or WEBHOOK_IP_ALLOWLIST.');
+    }
     // Open browser automatically when server starts
     //openBrowser(`http://localhost:${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,385 @@
+const zlib = require('zlib');
+const { listZipEntries, readZipEntry } = require('./zipReader');
+const { htmlToText } = require('./moderationInput');
+
+/**
+ * Attachment content inspection: real file type from magic bytes vs. the declared ContentType and
+ * extension, executables/scripts/macro-enabled Office files, size caps, and text extraction from
+ * PDF, DOCX/XLSX/PPTX and ZIP contents so that text can be moderated like the body.
+ */
+
+const ATTACHMENT_ACTIONS = ['block', 'quarantine', 'ignore'];
+const ACTION_SEVERITY = { allow: 0, ignore: 0, quarantine: 1, block: 2 };
+const MAX_EXTRACTED_CHARS = 200000; // per email, across all attachments
+const MAX_ZIP_DEPTH = 2;            // zip inside zip inside zip is where we stop
+const MAX_PDF_SCAN_BYTES = 5 * 1024 * 1024; // text is looked for in the start of a PDF only
+const MAX_PDF_STREAMS = 500;
+const MAX_PDF_STREAM_BYTES = 20 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024; // per attachment, across its zip entries and PDF streams
+
+// Magic numbers, checked in order
+const SIGNATURES = [
+    { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46] },                           // %PDF
+    { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },                           // GIF8
+    { type: 'bmp', bytes: [0x42, 0x4d] },
+    { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { type: 'zip', bytes: [0x50, 0x4b, 0x05, 0x06] },                           // empty zip
+    { type: 'ole', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },   // legacy Office (doc/xls/ppt), msi
+    { type: 'rar', bytes: [0x52, 0x61, 0x72, 0x21] },
+    { type: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf] },
+    { type: 'gzip', bytes: [0x1f, 0x8b] },
+    { type: 'exe', bytes: [0x4d, 0x5a] },                                       // MZ: Windows PE/DOS
+    { type: 'elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+    { type: 'macho', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+    { type: 'macho', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+    { type: 'macho', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+    { type: 'script', bytes: [0x23, 0x21] }                                     // #!
+];
+
+const EXECUTABLE_TYPES = ['exe', 'elf', 'macho', 'script'];
+
+// What a declared extension / content type says the file should be
+const EXTENSION_TYPES = {
+    pdf: 'pdf', png: 'png', jpg: 'jpeg', jpeg: 'jpeg', gif: 'gif', bmp: 'bmp',
+    zip: 'zip', docx: 'zip', xlsx: 'zip', pptx: 'zip', docm: 'zip', xlsm: 'zip', pptm: 'zip', odt: 'zip',
+    doc: 'ole', xls: 'ole', ppt: 'ole', msg: 'ole', msi: 'ole',
+    rar: 'rar', '7z': '7z', gz: 'gzip', exe: 'exe', dll: 'exe'
+};
+const CONTENT_TYPES = {
+    'application/pdf': 'pdf',
+    'image/png': 'png',
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpeg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'application/zip': 'zip',
+    'application/x-zip-compressed': 'zip',
+    'application/msword': 'ole',
+    'application/vnd.ms-excel': 'ole',
+    'application/vnd.ms-powerpoint': 'ole',
+    'application/gzip': 'gzip',
+    'application/x-rar-compressed': 'rar',
+    'application/x-7z-compressed': '7z'
+};
+
+const MACRO_EXTENSIONS = ['docm', 'dotm', 'xlsm', 'xltm', 'xlam', 'pptm', 'potm', 'ppsm', 'ppam', 'sldm'];
+const TEXT_EXTENSIONS = ['txt', 'csv', 'md', 'json', 'xml', 'htm', 'html'];
+
+/**
+ * Detect the real file type from the first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - Type name from SIGNATURES, or 'unknown'
+ */
+function sniffType(buffer) {
+    const match = SIGNATURES.find(sig => sig.bytes.every((byte, i) => buffer[i] === byte));
+    return match ? match.type : 'unknown';
+}
+
+/**
+ * Lowercased extension of a filename
+ * @param {string} name - Filename
+ * @returns {string} - Extension without the dot, '' if none
+ */
+function extensionOf(name = '') {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+/**
+ * Decode a PDF literal string body: (Hello\) world) -> Hello) world
+ * @param {string} text - Contents between the parentheses
+ * @returns {string} - Decoded text
+ */
+function decodePdfString(text) {
+    return text.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (match, esc) => {
+        const map = { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' };
+        return map[esc] !== undefined ? map[esc] : String.fromCharCode(parseInt(esc, 8));
+    });
+}
+
+/**
+ * A fresh extraction budget
+ * @returns {Object} - { chars, bytes }: text still to extract, bytes still to inflate
+ */
+function newBudget() {
+    return { chars: MAX_EXTRACTED_CHARS, bytes: MAX_INFLATED_BYTES };
+}
+
+/**
+ * Count extracted text against the budget
+ * @param {Object} budget - { chars, bytes }
+ * @param {string} text - Text just extracted
+ * @returns {string} - The part of it that fits
+ */
+function takeChars(budget, text) {
+    const kept = text.slice(0, Math.max(budget.chars, 0));
+    budget.chars -= kept.length;
+    return kept;
+}
+
+/**
+ * Extract the visible text of a PDF from its content streams (Tj / TJ text operators).
+ * Not a full PDF renderer, but enough to catch text in ordinary generated PDFs.
+ * Streams are found with indexOf (a regex over the whole file is quadratic on crafted input), and only
+ * the first MAX_PDF_SCAN_BYTES and MAX_PDF_STREAMS streams are looked at.
+ * @param {Buffer} buffer - PDF contents
+ * @param {Object} [budget] - { chars, bytes } shared with the rest of the email (see newBudget); used up as it goes
+ * @returns {string} - Extracted text
+ */
+function extractPdfText(buffer, budget = newBudget()) {
+    const raw = buffer.toString('latin1', 0, Math.min(buffer.length, MAX_PDF_SCAN_BYTES));
+    const pieces = [];
+    let streams = 0;
+    let pos = 0;
+
+    while (streams < MAX_PDF_STREAMS && budget.chars > 0) {
+        const keyword = raw.indexOf('stream', pos);
+        if (keyword === -1) break;
+        // A real stream keyword follows its dictionary and ends its line: << ... >> stream\r\n
+        let dataStart = keyword + 6;
+        if (raw[dataStart] === '\r') dataStart++;
+        const before = raw.slice(Math.max(pos, keyword - 64), keyword);
+        if (raw.slice(keyword - 3, keyword) === 'end' || !before.trimEnd().endsWith('>>') || raw[dataStart] !== '\n') {
+            pos = keyword + 6;
+            continue;
+        }
+        dataStart++;
+        const end = raw.indexOf('endstream', dataStart);
+        if (end === -1) break;
+        streams++;
+        pos = end + 9;
+
+        const dictionary = raw.slice(Math.max(raw.lastIndexOf('obj', keyword), keyword - 4096, 0), keyword);
+        let content = raw.slice(dataStart, end).replace(/\r?\n$/, '');
+        if (/\/FlateDecode/.test(dictionary)) {
+            const limit = Math.min(budget.bytes, MAX_PDF_STREAM_BYTES);
+            if (limit <= 0) break;
+            try {
+                const inflated = zlib.inflateSync(Buffer.from(content, 'latin1'), { maxOutputLength: limit });
+                budget.bytes -= inflated.length;
+                content = inflated.toString('latin1');
+            } catch (err) {
+                // A stream that outgrew the limit was inflated that far before giving up
+                if (err.code === 'ERR_BUFFER_TOO_LARGE') budget.bytes -= limit;
+                continue; // images and fonts that aren't worth decoding, or a truncated stream
+            }
+        }
+        const textRegex = /\((?:[^()\\]|\\.)*\)\s*Tj|\[((?:[^[\]\\]|\\.)*)\]\s*TJ|(T\*|Td|TD|')/g;
+        let op;
+        while ((op = textRegex.exec(content)) !== null && budget.chars > 0) {
+            let piece;
+            if (op[0].endsWith('Tj')) {
+                piece = decodePdfString(op[0].replace(/\)\s*Tj$/, '').slice(1));
+            } else if (op[1] !== undefined) {
+                const strings = op[1].match(/\((?:[^()\\]|\\.)*\)/g) || [];
+                piece = strings.map(s => decodePdfString(s.slice(1, -1))).join('');
+            } else {
+                piece = '\n'; // line moves
+            }
+            pieces.push(takeChars(budget, piece));
+        }
+    }
+    return pieces.join('').replace(/\n{2,}/g, '\n').trim();
+}
+
+/**
+ * Text from the XML parts of an Office Open XML document (DOCX paragraphs, XLSX shared strings, PPTX slides)
+ * @param {string} xml - Part contents
+ * @returns {string} - Text
+ */
+function officeXmlToText(xml) {
+    return htmlToText(xml.replace(/<\/(w:p|a:p|si)>/g, '</p>').replace(/<w:tab\/>/g, ' '));
+}
+
+/**
+ * Look inside a ZIP (or OOXML) file: macro projects, dangerous entries, and text
+ * @param {Buffer} buffer - Archive bytes
+ * @param {Object} config - filterConfig.attachments
+ * @param {number} depth - Nesting level
+ * @param {Object} budget - { chars, bytes } (see newBudget); entries stop being read once either runs out
+ * @returns {Object} - { kind: 'docx'|'xlsx'|'pptx'|'zip', hasMacros, dangerousEntries, text }
+ */
+function inspectZip(buffer, config, depth, budget) {
+    const entries = listZipEntries(buffer);
+    const names = entries.map(e => e.name);
+    const kind = names.includes('word/document.xml') ? 'docx'
+        : names.includes('xl/workbook.xml') ? 'xlsx'
+            : names.includes('ppt/presentation.xml') ? 'pptx'
+                : 'zip';
+    const result = {
+        kind,
+        hasMacros: names.some(name => /(^|\/)vbaProject\.bin$/i.test(name)),
+        dangerousEntries: [],
+        text: ''
+    };
+    const texts = [];
+
+    entries.forEach(entry => {
+        const ext = extensionOf(entry.name);
+        if (kind === 'zip' && (config.blockedExtensions || []).includes(ext)) {
+            result.dangerousEntries.push(entry.name);
+        }
+        if (!config.extractText || budget.chars <= 0 || budget.bytes <= 0) return;
+
+        const isOfficeText = /^word\/document\.xml$|^xl\/sharedStrings\.xml$|^ppt\/slides\/slide\d+\.xml$/.test(entry.name);
+        const isPlainText = kind === 'zip' && TEXT_EXTENSIONS.includes(ext);
+        const isNested = kind === 'zip' && depth < MAX_ZIP_DEPTH && ['pdf', 'zip', 'docx', 'xlsx', 'pptx'].includes(ext);
+        if (!isOfficeText && !isPlainText && !isNested) return;
+
+        const data = readZipEntry(buffer, entry, budget.bytes);
+        if (!data) {
+            // Its declared size fit, so the inflate failed: corrupt, or a zip bomb lying about its size
+            if (entry.method === 8 && !entry.encrypted && entry.size <= budget.bytes) budget.bytes = 0;
+            return;
+        }
+        budget.bytes -= data.length;
+        if (isOfficeText) {
+            texts.push(takeChars(budget, officeXmlToText(data.toString('utf8'))));
+        } else if (isPlainText) {
+            const content = data.toString('utf8');
+            texts.push(takeChars(budget, ['htm', 'html'].includes(ext) ? htmlToText(content) : content));
+        } else if (sniffType(data) === 'pdf') {
+            texts.push(extractPdfText(data, budget));
+        } else if (sniffType(data) === 'zip') {
+            const nested = inspectZip(data, config, depth + 1, budget);
+            result.hasMacros = result.hasMacros || nested.hasMacros;
+            result.dangerousEntries.push(...nested.dangerousEntries.map(name => `${entry.name}/${name}`));
+            texts.push(nested.text);
+        }
+    });
+    result.text = texts.filter(Boolean).join('\n\n');
+    return result;
+}
+
+/**
+ * Inspect one attachment
+ * @param {Object} att - Attachment in Postmark shape ({ Name, ContentType, Content (base64), ContentLength })
+ * @param {Object} config - filterConfig.attachments
+ * @param {Object} budget - { chars, bytes } (see newBudget); chars are shared by the email, bytes are reset here
+ * @returns {Object} - { filename, declaredType, detectedType, size, issues: [{ code, action }], text }
+ */
+function inspectAttachment(att, config, budget) {
+    const buffer = Buffer.from(att.Content || '', 'base64');
+    const filename = att.Name || 'unnamed';
+    const ext = extensionOf(filename);
+    const declaredType = String(att.ContentType || '').toLowerCase().split(';')[0].trim();
+    let detectedType = sniffType(buffer);
+    const issues = [];
+    let text = '';
+    budget.bytes = MAX_INFLATED_BYTES;
+
+    if (typeof config.maxFileSize === 'number' && buffer.length > config.maxFileSize) {
+        issues.push({ code: 'ATTACHMENT_TOO_LARGE', action: 'block' });
+    }
+
+    // Declared vs. real type. Unknown/plain-text files have no signature, so they can't mismatch.
+    const expectedByExtension = EXTENSION_TYPES[ext];
+    const expectedByContentType = CONTENT_TYPES[declaredType] || (declaredType.includes('openxmlformats') || declaredType.includes('macroenabled') ? 'zip' : undefined);
+    if (detectedType !== 'unknown' &&
+        ((expectedByExtension && expectedByExtension !== detectedType) ||
+         (expectedByContentType && expectedByContentType !== detectedType))) {
+        issues.push({ code: 'ATTACHMENT_TYPE_MISMATCH', action: config.typeMismatchAction });
+    }
+
+    if (config.blockExecutables && (EXECUTABLE_TYPES.includes(detectedType) || (config.blockedExtensions || []).includes(ext))) {
+        issues.push({ code: 'ATTACHMENT_EXECUTABLE', action: 'block' });
+    }
+
+    let hasMacros = MACRO_EXTENSIONS.includes(ext) || declaredType.includes('macroenabled');
+    if (detectedType === 'ole') {
+        // Legacy Office files keep macros in a "_VBA_PROJECT" stream; the name is stored as UTF-16
+        hasMacros = hasMacros || buffer.includes(Buffer.from('_VBA_PROJECT', 'utf16le')) || buffer.includes('_VBA_PROJECT');
+    } else if (detectedType === 'zip') {
+        const zip = inspectZip(buffer, config, 0, budget);
+        detectedType = zip.kind === 'zip' ? 'zip' : zip.kind;
+        hasMacros = hasMacros || zip.hasMacros;
+        if (config.blockExecutables && zip.dangerousEntries.length) {
+            issues.push({ code: 'ATTACHMENT_EXECUTABLE', action: 'block', entries: zip.dangerousEntries });
+        }
+        text = zip.text;
+    } else if (detectedType === 'pdf' && config.extractText) {
+        text = extractPdfText(buffer, budget);
+    }
+    if (config.blockMacros && hasMacros) {
+        issues.push({ code: 'ATTACHMENT_MACRO', action: 'block' });
+    }
+
+    return {
+        filename,
+        declaredType,
+        detectedType,
+        size: buffer.length,
+        issues: issues.filter(issue => issue.action && issue.action !== 'ignore'),
+        text
+    };
+}
+
+/**
+ * Inspect all attachments of an email
+ * @param {Array} attachments - Email attachments
+ * @param {Object} config - filterConfig.attachments
+ * @returns {Object} - { action, reason, totalSize, findings, extractedText: [{ filename, text }] }
+ */
+function inspectAttachments(attachments = [], config = {}) {
+    // Text extraction stops at MAX_EXTRACTED_CHARS for the whole email, so a huge spreadsheet can't run up
+    // the moderation bill (or the memory) and a zip of text files can't either
+    const budget = newBudget();
+    const inspected = attachments.map(att => inspectAttachment(att, config, budget));
+    const totalSize = inspected.reduce((sum, a) => sum + a.size, 0);
+    const issues = inspected.flatMap(a => a.issues);
+    if (typeof config.maxTotalSize === 'number' && totalSize > config.maxTotalSize) {
+        issues.push({ code: 'ATTACHMENTS_TOTAL_TOO_LARGE', action: 'block' });
+    }
+
+    const worst = issues.reduce(
+        (acc, issue) => (ACTION_SEVERITY[issue.action] > ACTION_SEVERITY[acc.action] ? issue : acc),
+        { action: 'allow', code: null }
+    );
+
+    const extractedText = inspected
+        .filter(a => a.text)
+        .map(a => ({ filename: a.filename, text: a.text }));
+
+    return {
+        action: worst.action,
+        reason: worst.code,
+        totalSize,
+        findings: inspected.map(({ text, ...finding }) => ({ ...finding, extractedChars: text.length })),
+        extractedText
+    };
+}
+
+/**
+ * Validate the attachments rule group (used by the admin API)
+ * @param {Object} group - filterConfig.attachments
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateAttachmentsConfig(group) {
+    const errors = [];
+    ['maxCount', 'maxFileSize', 'maxTotalSize'].forEach(key => {
+        if (group[key] !== null && !(Number.isInteger(group[key]) && group[key] >= 0)) {
+            errors.push(`${key} must be null or a non-negative integer`);
+        }
+    });
+    ['blockExecutables', 'blockMacros', 'extractText'].forEach(key => {
+        if (typeof group[key] !== 'boolean') {
+            errors.push(`${key} must be true or false`);
+        }
+    });
+    if (!ATTACHMENT_ACTIONS.includes(group.typeMismatchAction)) {
+        errors.push(`typeMismatchAction must be one of: ${ATTACHMENT_ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(group.blockedExtensions) || group.blockedExtensions.some(ext => typeof ext !== 'string' || !/^[a-z0-9]+$/.test(ext))) {
+        errors.push('blockedExtensions must be an array of lowercase extensions without dots');
+    }
+    return errors;
+}
+
+module.exports = {
+    sniffType,
+    extractPdfText,
+    inspectAttachments,
+    validateAttachmentsConfig
+};
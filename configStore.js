@@ -0,0 +1,215 @@
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { validateModerationConfig } = require('./moderationPolicy');
+const { validateProviderConfig } = require('./moderationProviders');
+const { validateSenderAuthConfig } = require('./senderAuth');
+const { validateChunkingConfig } = require('./moderationInput');
+const { validateAvailabilityConfig } = require('./moderationCircuit');
+const { validateAttachmentsConfig } = require('./attachmentInspector');
+const { validateLinksConfig } = require('./linkAnalyzer');
+const { validateRateLimitsConfig } = require('./senderReputation');
+const { validateRedactionConfig } = require('./redaction');
+const { validateClassificationConfig } = require('./classifier');
+const { validateNotificationsConfig } = require('./senderNotifier');
+
+// Where runtime edits to filterConfig are persisted; reloaded on startup
+const CONFIG_PATH = process.env.FILTER_CONFIG_PATH || path.join(__dirname, 'config', 'filterConfig.json');
+const saveFile = createJsonWriter(CONFIG_PATH, 'filter config', { durable: true });
+
+const LIST_MODES = ['none', 'all', 'list'];
+
+/**
+ * Check that a value is an array of non-empty strings
+ * @param {*} list - Value to check
+ * @param {string} name - Field name used in the error message
+ * @param {Array} errors - Error messages are appended here
+ */
+function validateStringList(list, name, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`${name} must be an array of strings`);
+        return;
+    }
+    list.forEach((entry, i) => {
+        if (typeof entry !== 'string' || !entry.trim()) {
+            errors.push(`${name}[${i}] must be a non-empty string`);
+        }
+    });
+}
+
+/**
+ * Validate a rule group that has a mode plus whitelist/blacklist (domains, usernames)
+ * @param {Object} group - Rule group value
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateListGroup(group) {
+    const errors = [];
+    if (!LIST_MODES.includes(group.mode)) {
+        errors.push(`mode must be one of: ${LIST_MODES.join(', ')}`);
+    }
+    validateStringList(group.whitelist, 'whitelist', errors);
+    validateStringList(group.blacklist, 'blacklist', errors);
+    return errors;
+}
+
+/**
+ * Check for null or a non-negative integer (used for optional limits)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if it is a usable limit
+ */
+function isOptionalLimit(value) {
+    return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+// One validator per editable rule group. Each returns a list of error messages.
+const ruleGroupValidators = {
+    domains: validateListGroup,
+    usernames: validateListGroup,
+    length: (group) => {
+        const errors = [];
+        if (!Number.isInteger(group.min) || group.min < 0) {
+            errors.push('min must be a non-negative integer');
+        }
+        if (!isOptionalLimit(group.max)) {
+            errors.push('max must be null or a non-negative integer');
+        } else if (group.max !== null && Number.isInteger(group.min) && group.max < group.min) {
+            errors.push('max must be greater than or equal to min');
+        }
+        return errors;
+    },
+    attachments: validateAttachmentsConfig,
+    moderation: (group) => [
+        ...validateModerationConfig(group),
+        ...validateProviderConfig(group),
+        ...validateChunkingConfig(group),
+        ...validateAvailabilityConfig(group)
+    ],
+    senderAuth: validateSenderAuthConfig,
+    links: validateLinksConfig,
+    rateLimits: validateRateLimitsConfig,
+    redaction: validateRedactionConfig,
+    classification: validateClassificationConfig,
+    notifications: validateNotificationsConfig
+};
+
+const RULE_GROUPS = Object.keys(ruleGroupValidators);
+
+/**
+ * Lowercase, trim and dedupe list entries so lookups match the normalized sender
+ * @param {Object} group - Validated rule group
+ * @returns {Object} - Copy of the group with normalized lists
+ */
+function normalizeRuleGroup(group) {
+    const normalized = { ...group };
+    ['whitelist', 'blacklist'].forEach(key => {
+        if (Array.isArray(normalized[key])) {
+            normalized[key] = [...new Set(normalized[key].map(entry => entry.trim().toLowerCase()))];
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Validate a rule group value
+ * @param {string} name - Rule group name, e.g. 'domains'
+ * @param {*} value - Proposed value for the whole group
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateRuleGroup(name, value) {
+    const validator = ruleGroupValidators[name];
+    if (!validator) {
+        return [`unknown rule group '${name}'`];
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${name} must be an object`];
+    }
+    return validator(value);
+}
+
+/**
+ * Load persisted rule groups from disk into the live config.
+ * Groups that fail validation are skipped so a bad edit can't take the filter down.
+ * @param {Object} target - The live filterConfig object
+ * @param {string} [filePath] - Config file to read; defaults to CONFIG_PATH (the replay CLI passes others)
+ * @returns {boolean} - True if a config file was found and read
+ */
+function loadConfig(target, filePath = CONFIG_PATH) {
+    const saved = readJsonFile(filePath, null);
+    if (!saved) {
+        return false;
+    }
+
+    RULE_GROUPS.forEach(name => {
+        if (saved[name] === undefined) return;
+        const errors = validateRuleGroup(name, saved[name]);
+        if (errors.length) {
+            console.error(`Ignoring invalid '${name}' in ${filePath}:`, errors);
+            return;
+        }
+        target[name] = normalizeRuleGroup(saved[name]);
+    });
+    console.log(`Loaded filter config from ${filePath}`);
+    return true;
+}
+
+/**
+ * Write the editable rule groups to disk
+ * @param {Object} target - The live filterConfig object
+ * @returns {Promise<void>}
+ */
+async function saveConfig(target) {
+    const data = {};
+    RULE_GROUPS.forEach(name => {
+        data[name] = target[name];
+    });
+    await saveFile(data);
+}
+
+/**
+ * Replace a rule group in the live config and persist it
+ * @param {Object} target - The live filterConfig object
+ * @param {string} name - Rule group name
+ * @param {Object} value - New value for the whole group
+ * @returns {Promise<Object>} - { errors } if invalid, otherwise { value } with the stored group
+ */
+async function updateRuleGroup(target, name, value) {
+    const errors = validateRuleGroup(name, value);
+    if (errors.length) {
+        return { errors };
+    }
+    // Assign a new object rather than mutating, so nothing half-updated is ever visible
+    target[name] = normalizeRuleGroup(value);
+    await saveConfig(target);
+    return { value: target[name] };
+}
+
+/**
+ * Put an entry on a whitelist or blacklist and take it off the opposite list, then persist.
+ * Used by the quarantine review ("trust sender", "block domain", ...).
+ * @param {Object} target - The live filterConfig object
+ * @param {string} name - 'domains' or 'usernames'
+ * @param {string} list - 'whitelist' or 'blacklist'
+ * @param {string} entry - Domain or address to add
+ * @returns {Promise<Object>} - Same as updateRuleGroup
+ */
+async function addListEntry(target, name, list, entry) {
+    const opposite = list === 'whitelist' ? 'blacklist' : 'whitelist';
+    const normalized = String(entry).trim().toLowerCase();
+    const group = target[name];
+    // New arrays, so the matcher caches keyed on the old ones simply stop being used
+    return updateRuleGroup(target, name, {
+        ...group,
+        [list]: [...group[list], normalized],
+        [opposite]: group[opposite].filter(existing => existing !== normalized)
+    });
+}
+
+module.exports = {
+    CONFIG_PATH,
+    RULE_GROUPS,
+    validateRuleGroup,
+    normalizeRuleGroup,
+    loadConfig,
+    saveConfig,
+    updateRuleGroup,
+    addListEntry
+};
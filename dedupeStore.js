@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+
+/**
+ * Remembers which inbound messages we already processed, so Postmark's webhook retries
+ * get the stored response back instead of being moderated and saved a second time.
+ * Keyed on MessageID, or a content hash when there isn't one; entries expire after the retention window.
+ */
+
+const DEDUPE_PATH = process.env.DEDUPE_PATH || path.join(__dirname, 'data', 'processed-messages.json');
+const RETENTION_MS = (Number(process.env.DEDUPE_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+
+// key -> { response, processedAt }
+let processed = readJsonFile(DEDUPE_PATH, {});
+// key -> promise of the response, for retries that arrive while the first attempt is still running
+const inFlight = new Map();
+const save = createJsonWriter(DEDUPE_PATH, 'dedupe store');
+
+/**
+ * Build the dedupe key for an inbound message
+ * @param {Object} emailData - Original inbound payload
+ * @returns {string} - 'msgid:<MessageID>' or 'sha256:<hash of sender, recipients, subject, date and bodies>'
+ */
+function messageKey(emailData) {
+    if (emailData.MessageID) {
+        return `msgid:${emailData.MessageID}`;
+    }
+    const hash = crypto.createHash('sha256');
+    ['From', 'To', 'Subject', 'Date', 'TextBody', 'HtmlBody'].forEach(field => {
+        hash.update(String(emailData[field] || '')).update('\u0000');
+    });
+    return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Drop entries older than the retention window
+ */
+function pruneExpired() {
+    const cutoff = Date.now() - RETENTION_MS;
+    Object.keys(processed).forEach(key => {
+        if (Date.parse(processed[key].processedAt) < cutoff) {
+            delete processed[key];
+        }
+    });
+}
+
+/**
+ * Save the dedupe store
+ * @returns {Promise<void>}
+ */
+function persist() {
+    return save({ ...processed });
+}
+
+/**
+ * Look up a message we already processed
+ * @param {string} key - Key from messageKey
+ * @returns {Object|null} - Stored { response, processedAt } or null
+ */
+function getProcessed(key) {
+    const entry = processed[key];
+    if (!entry || Date.parse(entry.processedAt) < Date.now() - RETENTION_MS) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Run the processing for a message once.
+ * A key that is already stored (or currently being processed) returns that response instead of calling work again.
+ * Failures aren't stored, so a retry after an error is processed normally.
+ * @param {string} key - Key from messageKey
+ * @param {Function} work - async () => response to store
+ * @returns {Promise<Object>} - { response, duplicate }
+ */
+async function runOnce(key, work) {
+    const previous = getProcessed(key);
+    if (previous) {
+        return { response: previous.response, duplicate: true };
+    }
+    if (inFlight.has(key)) {
+        return { response: await inFlight.get(key), duplicate: true };
+    }
+
+    const promise = work();
+    inFlight.set(key, promise);
+    try {
+        const response = await promise;
+        pruneExpired();
+        processed[key] = { response, processedAt: new Date().toISOString() };
+        await persist();
+        return { response, duplicate: false };
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+pruneExpired();
+
+module.exports = {
+    messageKey,
+    getProcessed,
+    runOnce
+};
@@ -0,0 +1,106 @@
+const { normalizeDomain } = require('./addressParser');
+
+/**
+ * Fast lookups for domain and username lists.
+ *
+ * Domain entries:
+ *   example.com      matches example.com and every subdomain (mail.example.com, a.b.example.com)
+ *   *.example.com    matches subdomains only, not example.com itself
+ *   mail.*.com       '*' stands for exactly one label, anywhere in the entry
+ * Entries are stored in a trie keyed on labels from the right, so a lookup costs the number
+ * of labels in the domain rather than the size of the list.
+ *
+ * Matchers are cached per list array. Lists are always replaced (never mutated) when the config
+ * changes, so a new array means a new matcher.
+ */
+
+const domainMatcherCache = new WeakMap();
+const usernameSetCache = new WeakMap();
+
+/**
+ * Build a trie from domain entries
+ * @param {Array} entries - Domain list
+ * @returns {Object} - Root trie node: { children: Map, entry }
+ */
+function buildTrie(entries) {
+    const root = { children: new Map(), entry: null };
+    entries.forEach(entry => {
+        const labels = String(entry).trim().toLowerCase().replace(/\.$/, '').split('.')
+            .map(label => (label === '*' ? '*' : normalizeDomain(label)))
+            .reverse();
+        if (!labels.length || labels.some(label => !label)) return; // skip empty/malformed entries
+
+        let node = root;
+        labels.forEach(label => {
+            if (!node.children.has(label)) {
+                node.children.set(label, { children: new Map(), entry: null });
+            }
+            node = node.children.get(label);
+        });
+        node.entry = node.entry || entry;
+    });
+    return root;
+}
+
+/**
+ * Walk the trie for a domain's labels; the first entry reached matches (parent-domain matching)
+ * @param {Object} node - Current trie node
+ * @param {Array} labels - Remaining labels, rightmost first
+ * @returns {string|null} - Matching entry
+ */
+function findMatch(node, labels) {
+    if (node.entry) return node.entry;
+    if (!labels.length) return null;
+    const [label, ...rest] = labels;
+    for (const key of [label, '*']) {
+        const child = node.children.get(key);
+        const match = child ? findMatch(child, rest) : null;
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Find the list entry that matches a domain
+ * @param {Array} list - Domain list (whitelist or blacklist)
+ * @param {string} domain - Normalized sender domain
+ * @returns {string|null} - The matching entry, or null
+ */
+function matchDomain(list, domain) {
+    if (!domain || !Array.isArray(list) || !list.length) return null;
+    let trie = domainMatcherCache.get(list);
+    if (!trie) {
+        trie = buildTrie(list);
+        domainMatcherCache.set(list, trie);
+    }
+    return findMatch(trie, normalizeDomain(domain).split('.').reverse());
+}
+
+/**
+ * Find the list entry that matches a sender in a username list.
+ * Entries without '@' match the local part, with or without its "+tag";
+ * entries with '@' match the whole address.
+ * @param {Array} list - Username list
+ * @param {Object} sender - Result of parseSender
+ * @returns {string|null} - The matching entry, or null
+ */
+function matchUsername(list, sender) {
+    if (!Array.isArray(list) || !list.length) return null;
+    let set = usernameSetCache.get(list);
+    if (!set) {
+        set = new Set(list.map(entry => String(entry).trim().toLowerCase()));
+        usernameSetCache.set(list, set);
+    }
+    const candidates = [
+        sender.address,
+        sender.domain ? `${sender.baseLocalPart}@${sender.domain}` : null,
+        sender.localPart,
+        sender.baseLocalPart
+    ];
+    return candidates.find(candidate => candidate && set.has(candidate)) || null;
+}
+
+module.exports = {
+    matchDomain,
+    matchUsername
+};
@@ -1,11 +1,33 @@
-const OpenAI = require('openai');
-const fetch = require('node-fetch');
 const blacklistedDomains = require('./blacklistedDomains');
+const { loadConfig } = require('./configStore');
+const { evaluateModerationPolicy } = require('./moderationPolicy');
+const { getModerationProvider } = require('./moderationProviders');
+const { DEFAULT_AVAILABILITY, allowRequest, recordResult } = require('./moderationCircuit');
+const { evaluateSenderAuth } = require('./senderAuth');
+const { parseSender } = require('./addressParser');
+const { matchDomain, matchUsername } = require('./domainMatcher');
+const { buildTextInputs, combineModerationResults } = require('./moderationInput');
+const { inspectAttachments } = require('./attachmentInspector');
+const { analyzeLinks } = require('./linkAnalyzer');
+const { classifyEmail } = require('./classifier');
+const { notifySender } = require('./senderNotifier');
+const {
+    addEntry: addToQuarantine,
+    listEntries: listQuarantine,
+    getEntry: getQuarantineEntry,
+    markReviewed,
+    updateVerdict
+} = require('./quarantineStore');
+const { checkRateLimits } = require('./senderReputation');
+const { registerJobType, enqueueJob, getJob, describeJob } = require('./jobQueue');
+const { loadSinks, saveToSinks, getSinks } = require('./sinks');
+const { addEntry: addToHistory } = require('./inboxHistory');
+const { DEFAULT_TENANT, loadTenants, resolveTenant, getTenant } = require('./tenants');
+const { messageKey, getProcessed, runOnce } = require('./dedupeStore');
+const { normalizePostmark, normalizeRawMime, normalizeSendGrid, normalizeMailgun } = require('./ingest');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// Log addresses are hashed when there's a salt to hash them with, otherwise redacted (see redaction.js)
+const LOG_ADDRESS_MODE = process.env.REDACTION_HASH_SALT ? 'hash' : 'redact';
 
 /**
  * Configuration object for filter modes and lists
@@ -16,12 +38,15 @@ const openai = new OpenAI({
 const filterConfig = { //this is called a configuration object. it is a js object, not json 
     domains: { //domains object, rule group
         //the following are properties of the domains object, overall making configuration fields within a rule group
+        //entries match the domain and its subdomains; "*.example.com" matches subdomains only (see domainMatcher.js)
         mode: 'list',  // 'none', 'all', or 'list'
         whitelist: ['gmail.com', 'outlook.com'],
         blacklist: blacklistedDomains
     },
     usernames: { //usernames object, rule group
         //the following are properties of the usernames object
+        //entries match the local part with or without a "+tag"; entries containing @ match a full address
+        //full-address entries apply in every mode and take precedence over the domain rules
         mode: 'none',  // 'none', 'all', or 'list'
         whitelist: ['alloweduser', 'gooduser'],
         blacklist: ['spammer', 'badactor']
@@ -31,19 +56,201 @@ const filterConfig = { //this is called a configuration object. it is a js objec
         max: null  // "null" (without quotes if no max)
     },
     attachments: {
-        maxCount: null  // "null" (without quotes if no max)
+        maxCount: null,  // "null" (without quotes if no max)
+        maxFileSize: 10 * 1024 * 1024,   // bytes per attachment, "null" for no limit
+        maxTotalSize: 25 * 1024 * 1024,  // bytes across all attachments, "null" for no limit
+        blockExecutables: true,          // binaries/scripts by content, plus blockedExtensions (also inside zips)
+        blockMacros: true,               // macro-enabled Office files (docm/xlsm/..., vbaProject.bin, _VBA_PROJECT)
+        typeMismatchAction: 'quarantine', // real type (magic bytes) differs from ContentType/extension: 'block', 'quarantine' or 'ignore'
+        blockedExtensions: ['exe', 'scr', 'bat', 'cmd', 'com', 'pif', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh',
+            'ps1', 'msi', 'jar', 'hta', 'cpl', 'lnk', 'reg', 'dll', 'sh', 'app', 'iso'],
+        extractText: true                // moderate text extracted from PDF, DOCX/XLSX/PPTX and ZIP contents
+    },
+    senderAuth: {
+        // Uses the Authentication-Results, Received-SPF and X-Spam-* headers the receiving server adds.
+        // Actions are 'block', 'quarantine' or 'ignore'.
+        enabled: true,
+        // authserv-ids of your receiving servers (e.g. 'mx.example.com'): only their Authentication-Results count.
+        // Empty: only the topmost header counts, since anything below it may have come from the sender.
+        authservIds: [],
+        requireDmarcForWhitelist: true,  // whitelist entries only count when DMARC passes (stops spoofed allowed addresses)
+        dkimFailAction: 'block',
+        spfFailAction: 'ignore',
+        dmarcFailAction: 'quarantine',
+        spamScore: {
+            threshold: 5,                // "null" (without quotes) to ignore the spam score
+            action: 'quarantine'
+        }
+    },
+    links: {
+        // Every URL in the body is unwrapped from redirect wrappers and its destination checked.
+        // Actions are 'block', 'quarantine' or 'ignore'.
+        enabled: true,
+        maxLinks: 200,
+        actions: {
+            blacklisted: 'block',        // destination matches domains.blacklist
+            textMismatch: 'quarantine',  // anchor text shows a different domain than the link goes to
+            ipLiteral: 'quarantine',     // http://192.0.2.1/...
+            shortener: 'ignore',         // hides the destination; raise to 'quarantine' if needed
+            lookalike: 'quarantine'      // homoglyph/typo of a protectedDomains or domains.whitelist entry
+        },
+        shorteners: ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly',
+            'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy'],
+        protectedDomains: ['paypal.com', 'microsoft.com', 'apple.com', 'google.com', 'amazon.com'],
+        // Real domains that happen to be close to a protected one; never flagged as lookalikes
+        knownDomains: ['gmail.com', 'mail.com', 'email.com', 'gmx.com', 'hotmail.com', 'outlook.com', 'live.com',
+            'yahoo.com', 'icloud.com', 'aol.com', 'proton.me', 'protonmail.com']
+    },
+    redaction: {
+        // What leaves the service, per destination (see redaction.js): 'logs' plus one policy per sink, by sink name
+        // or the sink's "redaction" setting (see sinks.js). emails/sender: 'keep', 'redact' or 'hash'
+        // (hash = HMAC with REDACTION_HASH_SALT, so rows can still be grouped by sender; only valid with the salt);
+        // the rest are on/off.
+        sheets: { emails: 'keep', sender: 'keep', phones: false, cards: true, nationalIds: true, attachmentContents: true },
+        crud: { emails: 'keep', sender: 'keep', phones: false, cards: true, nationalIds: true, attachmentContents: false },
+        logs: { emails: LOG_ADDRESS_MODE, sender: LOG_ADDRESS_MODE, phones: true, cards: true, nationalIds: true, attachmentContents: true }
+    },
+    rateLimits: {
+        // Messages per sender address, domain and sending IP over sliding windows (see senderReputation.js).
+        // The IP is read from the trusted Authentication-Results (senderAuth.authservIds) or the topmost Received.
+        // action: 'throttle' (HTTP 429, sender retries later), 'quarantine' (held without moderation)
+        // or 'blacklist' (every message from the key is blocked for blacklistMinutes)
+        enabled: true,
+        limits: [
+            { scope: 'address', windowSeconds: 60, maxMessages: 20, action: 'throttle' },
+            { scope: 'address', windowSeconds: 3600, maxMessages: 200, action: 'quarantine' },
+            { scope: 'domain', windowSeconds: 60, maxMessages: 100, action: 'throttle' },
+            { scope: 'ip', windowSeconds: 60, maxMessages: 300, action: 'blacklist', blacklistMinutes: 60 }
+        ]
+    },
+    notifications: {
+        // Tell senders their message was held or rejected, through Postmark's outbound API (POSTMARK_SERVER_TOKEN,
+        // see senderNotifier.js). from must be a confirmed Postmark sender signature.
+        // Templates: by reason code under reasons (null = never notify for it), otherwise by action.
+        // Placeholders: {{subject}}, {{receivedAt}}, {{reason}} (a generic phrase) and {{reference}}.
+        enabled: false,
+        from: null,
+        messageStream: 'outbound',
+        actions: ['block', 'quarantine'],
+        requireSenderAuth: true,         // only reply on a DMARC pass for the From domain, so spoofed senders don't get backscatter
+        minIntervalHours: 24,            // at most one notification per address in this time
+        maxPerHour: 100,                 // across all addresses
+        skipReasons: ['RATE_LIMIT_THROTTLED', 'RATE_LIMIT_EXCEEDED', 'RATE_LIMIT_BLACKLISTED', 'SENDER_TEMPORARILY_BLOCKED',
+            'DKIM_FAILED', 'SPF_FAILED', 'DMARC_FAILED', 'CLASSIFIED_SPAM', 'CLASSIFIED_PHISHING'],
+        noReplyPatterns: [],             // extra regexes for addresses never to reply to
+        templates: {
+            quarantine: {
+                subject: 'Your message is being held for review: {{subject}}',
+                text: 'Your message "{{subject}}" received {{receivedAt}} has been held for review because {{reason}}.\n'
+                    + 'You do not need to send it again. Reference: {{reference}}\n\nThis is an automated message; replies are not read.'
+            },
+            block: {
+                subject: 'Your message was not delivered: {{subject}}',
+                text: 'Your message "{{subject}}" received {{receivedAt}} was not delivered because {{reason}}.\n'
+                    + 'Reference: {{reference}}\n\nThis is an automated message; replies are not read.'
+            },
+            reasons: {
+                MODERATION_HELD: {
+                    subject: 'Your message is delayed: {{subject}}',
+                    text: 'Your message "{{subject}}" received {{receivedAt}} is delayed and will be delivered once it has been reviewed.\n'
+                        + 'You do not need to send it again. Reference: {{reference}}\n\nThis is an automated message; replies are not read.'
+                }
+            }
+        }
+    },
+    classification: {
+        // What kind of email it is (spam, phishing, sales, support, job_application, personal, newsletter, other),
+        // asked of a chat model with a strict JSON schema after the basic filters allowed it (see classifier.js).
+        // provider: 'openai', 'local' (offline keyword/regex stand-in) or null to use openai only when
+        // OPENAI_API_KEY is set; the CLASSIFIER_PROVIDER environment variable overrides it.
+        enabled: false,
+        provider: null,
+        model: 'gpt-4o-mini',
+        timeoutMs: 20000,
+        maxChars: 6000,                  // body characters sent to the model
+        minConfidence: 0.7,              // routes only apply at or above this confidence
+        onError: 'allow',                // classifier down or timed out: 'allow' or 'quarantine'
+        routeWhitelisted: false,         // whitelisted senders get tags but are never quarantined or blocked by a route
+        // One rule per category: action 'allow', 'quarantine' or 'block', plus tags passed on to the sinks
+        routes: [
+            { category: 'phishing', action: 'quarantine', tags: ['security'] },
+            { category: 'spam', action: 'block' },
+            { category: 'sales', action: 'allow', tags: ['sales'] },
+            { category: 'support', action: 'allow', tags: ['support'] },
+            { category: 'job_application', action: 'allow', tags: ['hr'] }
+        ],
+        local: {
+            rules: [
+                { category: 'phishing', pattern: '\\b(verify your account|confirm your (identity|password|credentials)|unusual sign-in|password (will )?expire)', weight: 0.8 },
+                { category: 'spam', pattern: '\\b(you have won|lottery|casino|crypto giveaway|work from home and earn)\\b', weight: 0.8 },
+                { category: 'sales', pattern: '\\b(book a (quick )?(call|demo)|special offer|limited time|pricing)\\b', weight: 0.7 },
+                { category: 'support', pattern: "\\b(not working|error message|can(no|')t log ?in|refund|order #?\\d+)", weight: 0.7 },
+                { category: 'job_application', pattern: '\\b(resume|curriculum vitae|cover letter|applying for the)\\b', weight: 0.7 }
+            ]
+        }
+    },
+    moderation: {
+        // 'openai', 'local' (offline keyword/regex classifier) or null to use openai only when OPENAI_API_KEY is set.
+        // The MODERATION_PROVIDER environment variable overrides this.
+        provider: null,
+        local: {
+            flagThreshold: 0.5,
+            rules: [
+                { category: 'harassment/threatening', pattern: "\\b(i will|i'll|gonna) (kill|hurt) you\\b", score: 0.9 },
+                { category: 'sexual/minors', pattern: '\\b(child|underage) (porn|nudes?)\\b', score: 1 }
+            ]
+        },
+        // Per-category rules checked against OpenAI's category_scores, separately for text and images.
+        // A rule fires when the score is above its threshold; action is 'block', 'quarantine' or 'ignore'.
+        // Categories without a rule fall back to defaultAction when OpenAI flags them.
+        // What to do when the provider can't moderate an email (timeouts, errors, circuit open):
+        // 'fail-open' allows it as before, 'fail-closed' blocks it, 'hold' quarantines it and
+        // re-moderates it once the provider is back. After failureThreshold failed calls in a row we stop
+        // calling the provider for cooldownSeconds (see moderationCircuit.js).
+        availability: {
+            failurePolicy: 'hold',
+            failureThreshold: 5,
+            cooldownSeconds: 60
+        },
+        chunking: {
+            maxChars: 4000,   // characters per moderation request
+            overlap: 200,     // characters repeated between neighbouring chunks
+            maxChunks: 20     // most requests we make for one body; longer text gets the failurePolicy (see processEmail)
+        },
+        text: {
+            defaultAction: 'block',
+            categories: {
+                'sexual/minors': { threshold: 0.01, action: 'block' },   // well below where OpenAI flags it; scores are never exactly 0
+                'harassment': { threshold: 0.6, action: 'quarantine' },
+                'violence': { threshold: 0.9, action: 'block' }          // ignored below 0.9
+            }
+        },
+        images: {
+            defaultAction: 'block',
+            categories: {
+                'sexual/minors': { threshold: 0.01, action: 'block' }
+            }
+        }
     }
 };
 
+// Apply any edits saved through the admin API (see configStore.js) on top of the defaults above
+loadConfig(filterConfig);
+// Output sinks (see sinks.js), before the tenants whose sink names are checked against them
+loadSinks(filterConfig.redaction);
+// Per-recipient policies that inherit from it (see tenants.js)
+loadTenants(filterConfig);
+
 /**
  * Check if email content length meets requirements
  * @param {Object} emailData - The email data containing content
+ * @param {Object} [config] - Policy to apply: filterConfig or a tenant's (see tenants.js)
  * @returns {boolean} - True if length requirements met
  */
-function checkEmailLength(emailData) {
+function checkEmailLength(emailData, config = filterConfig) {
     const content = emailData.TextBody || emailData.HtmlBody || '';
-    const min = filterConfig.length.min;
-    const max = filterConfig.length.max;
+    const min = config.length.min;
+    const max = config.length.max;
 
     console.log('Content length check:', {
         textLength: emailData.TextBody?.length || 0,
@@ -60,10 +267,11 @@ function checkEmailLength(emailData) {
 /**
  * Check if number of attachments meets requirements
  * @param {Array} attachments - Array of email attachments
+ * @param {Object} [config] - Policy to apply: filterConfig or a tenant's (see tenants.js)
  * @returns {boolean} - True if attachment count is within limit
  */
-function checkAttachmentCount(attachments) {
-    const max = filterConfig.attachments.maxCount;
+function checkAttachmentCount(attachments, config = filterConfig) {
+    const max = config.attachments.maxCount;
     const count = attachments?.length || 0;
 
     return typeof max !== 'number' || count <= max;
@@ -127,36 +335,60 @@ async function runWithTimeout(promiseFactory, timeoutMs) {
     } catch (err) {
         if (err.name === 'AbortError') {
             console.warn(`Request timed out after ${timeoutMs} ms`);
-        } else {
-            console.error('Request failed:', err);
+            return { error: `Timed out after ${timeoutMs} ms` };
         }
-        return {}; // Return empty object on error or timeout
+        console.error('Request failed:', err);
+        return { error: err.message }; // no result; the caller treats it as a failed call
     } finally {
         clearTimeout(timeout);
     }
 }
 
 /**
- * Check content using OpenAI's moderation API
- * Handles both text and images (inline and attachments)
+ * Send one input to the provider through the circuit breaker (see moderationCircuit.js)
+ * @param {Object} provider - Moderation provider
+ * @param {Object} input - { type: 'text', text } or { type: 'image', contentType, content }
+ * @param {number} timeoutMs - Per-call timeout
+ * @param {Object} [availability] - filterConfig.moderation.availability of the email's policy
+ * @returns {Promise<Object|null>} - The provider's result, or null if the call failed or the circuit is open
+ */
+async function moderateInput(provider, input, timeoutMs, availability) {
+    if (!allowRequest(provider.name, availability)) {
+        return null;
+    }
+    const result = await runWithTimeout((signal) => provider.moderate(input, { signal }), timeoutMs);
+    const ok = Boolean(result?.category_scores);
+    recordResult(provider.name, ok, availability, result?.error);
+    return ok ? result : null;
+}
+
+/**
+ * Check content using the configured moderation provider (OpenAI or local, see moderationProviders.js)
+ * Handles the subject, the body (chunked, see moderationInput.js) and images (inline and attachments)
  * @param {Object} emailData - The email data containing content and attachments
+ * @param {Object} [context] - Results already computed for this email
+ * @param {Object} [context.attachmentReport] - Result of inspectAttachments; its extracted text is moderated too
+ * @param {Object} [config] - Policy to apply: filterConfig or a tenant's (see tenants.js)
  * @returns {Promise<Object>} - Moderation results for text and all images
  */
-async function checkContentModeration(emailData) {
+async function checkContentModeration(emailData, context = {}, config = filterConfig) {
     try {
         const timeoutMs = 45000; 
+        const provider = getModerationProvider(config.moderation);
+        const availability = config.moderation.availability;
+        const attachmentReport = context.attachmentReport || inspectAttachments(emailData.Attachments, config.attachments);
 
-        const textContent = emailData.TextBody || '';
-
-        const textResult = await runWithTimeout(
-            (signal) => openai.moderations.create({
-                model: "omni-moderation-latest",
-                input: [{ type: "text", text: textContent }],
-                signal
-            }),
-            timeoutMs
-        );
-        console.log("MODERATION RESULT:", textResult);
+        // Subject plus body (HTML converted to text when there's no plain-text part) and text extracted
+        // from attachments, chunked to fit the input limits. Text past maxChunks isn't moderated (truncated).
+        const { inputs: textInputs, truncated } = buildTextInputs(emailData, config.moderation.chunking, attachmentReport.extractedText);
+        const textResults = await Promise.all(textInputs.map(input => moderateInput(
+            provider,
+            { type: 'text', text: input.text },
+            timeoutMs,
+            availability
+        ).then(moderation => (moderation ? { input, moderation } : null))));
+        const validTextResults = textResults.filter(Boolean);
+        console.log(`MODERATION RESULT (${provider.name}): ${validTextResults.length}/${textInputs.length} text inputs moderated`);
 
         console.log("HTML Preview:", emailData.HtmlBody?.slice(0, 1000));
 
@@ -170,15 +402,16 @@ async function checkContentModeration(emailData) {
         console.log(`Extracted ${inlineImages.length} inline images`, inlineImages.map(i => i.type));
 
         const imagePromises = [
-            ...inlineImages.map(img => runWithTimeout(
-                (signal) => openai.moderations.create({
-                    model: "omni-moderation-latest",
-                    input: [{ type: "image_url", image_url: { url: `data:${img.contentType};base64,${img.content}` } }],
-                    signal
-                }),
-                timeoutMs
-            ).then(result => {
-                const moderation = result?.results?.[0];
+            ...inlineImages.map(img => moderateInput(
+                provider,
+                {
+                    type: 'image',
+                    contentType: img.contentType || img.type,  // base64 images only carry their type
+                    content: img.content
+                },
+                timeoutMs,
+                availability
+            ).then(moderation => {
                 if (moderation) {
                     return {
                         type: img.type,  // 'inline'
@@ -195,15 +428,16 @@ async function checkContentModeration(emailData) {
                     return att.ContentType.startsWith('image/') &&
                         (!cid || !excludedCids.has(cid));
                 })
-                .map(att => runWithTimeout(
-                    (signal) => openai.moderations.create({
-                        model: "omni-moderation-latest",
-                        input: [{ type: "image_url", image_url: { url: `data:${att.ContentType};base64,${att.Content}` } }],
-                        signal
-                    }),
-                    timeoutMs
-                ).then(result => {
-                    const moderation = result?.results?.[0];
+                .map(att => moderateInput(
+                    provider,
+                    {
+                        type: 'image',
+                        contentType: att.ContentType,
+                        content: att.Content
+                    },
+                    timeoutMs,
+                    availability
+                ).then(moderation => {
                     if (moderation) {
                         return {
                             type: 'attachment',
@@ -218,21 +452,38 @@ async function checkContentModeration(emailData) {
 
         const imageResults = (await Promise.all(imagePromises)).filter(Boolean);
 
-        const textModeration = textResult?.results?.[0] || {
+        // Highest score per category across subject and chunks, so one bad paragraph is enough
+        const textModeration = validTextResults.length ? combineModerationResults(validTextResults) : {
             flagged: false,
             categories: {},
             category_scores: {}
         };
 
+        // Decide using our per-category thresholds rather than OpenAI's single flagged bit
+        const policy = evaluateModerationPolicy(textModeration, imageResults, config.moderation);
+
+        // Inputs the provider didn't answer for (error, timeout or circuit open). processEmail applies
+        // the failure policy; whatever was moderated and flagged still counts.
+        const failedInputs = (textInputs.length - validTextResults.length) + (imagePromises.length - imageResults.length);
+        if (failedInputs) {
+            console.warn(`Moderation unavailable for ${failedInputs} input(s) (${provider.name})`);
+        }
+
         return {
+            provider: provider.name,
             text: {
                 flagged: textModeration.flagged,
                 categories: textModeration.categories,
-                categoryScores: textModeration.category_scores
+                categoryScores: textModeration.category_scores,
+                inputs: textModeration.inputs || []
             },
             images: imageResults,
-            overallPassed: !textModeration.flagged &&
-                           !imageResults.some(img => img.moderation.flagged),
+            action: policy.action,
+            violations: policy.violations,
+            overallPassed: policy.action === 'allow' && !failedInputs && !truncated.length,
+            unavailable: failedInputs > 0,
+            failedInputs,
+            truncated,
             summary: {
                 totalImages: imageResults.length,
                 inlineImages: imageResults.filter(img => img.type === 'inline').length,
@@ -243,288 +494,645 @@ async function checkContentModeration(emailData) {
 
     } catch (err) {
         console.error('Unexpected content moderation error:', err);
-        return {
-            text: { flagged: false, categories: {}, categoryScores: {} },
-            images: [],
-            overallPassed: true,
-            summary: { totalImages: 0, inlineImages: 0, attachments: 0, flaggedImages: 0 }
-        };
+        return { ...emptyModerationResult(), overallPassed: false, unavailable: true, error: err.message };
     }
 }
 
+/**
+ * Moderation result for an email whose content wasn't moderated (nothing flagged)
+ * @returns {Object} - Same shape as checkContentModeration's result
+ */
+function emptyModerationResult() {
+    return {
+        text: { flagged: false, categories: {}, categoryScores: {} },
+        images: [],
+        action: 'allow',
+        violations: [],
+        overallPassed: true,
+        unavailable: false,
+        failedInputs: 0,
+        truncated: [],
+        summary: { totalImages: 0, inlineImages: 0, attachments: 0, flaggedImages: 0 }
+    };
+}
+
+
+/**
+ * Build the decision object returned by processEmail
+ * @param {string} action - 'allow', 'quarantine' or 'block'
+ * @param {string} reason - Machine-readable reason code, e.g. 'DOMAIN_BLACKLISTED'
+ * @param {string} ruleGroup - Rule group that decided: 'domains', 'usernames', 'length', 'attachments', 'moderation', 'senderAuth', 'links',
+ *                             'rateLimits' or 'quarantine' (released by a reviewer)
+ * @param {Array} checks - Ordered list of checks evaluated before the decision
+ * @returns {Object} - Decision trace
+ */
+function buildDecision(action, reason, ruleGroup, checks) {
+    return {
+        action,
+        allowed: action === 'allow',
+        reason,
+        ruleGroup,
+        checks
+    };
+}
 
 //eceives and responds to HTTP POST from Postmark
 /**
  * Process email and determine if it should be allowed
  * @param {Object} emailData - The email data from Postmark webhook
- * @returns {boolean} - True if email is allowed, false if blocked
+ * @param {Object} [context] - Results already computed for this email
+ * @param {Object} [context.moderation] - Result of checkContentModeration, reused instead of calling the API again
+ * @param {Object} [context.attachmentReport] - Result of inspectAttachments
+ * @param {Object} [context.linkReport] - Result of analyzeLinks
+ * @param {Object} [config] - Policy to apply: filterConfig or a tenant's (see tenants.js)
+ * @returns {Promise<Object>} - Decision with action, reason code, deciding rule group and the checks evaluated
  */
 //future: add timeouts to async function
-async function processEmail(emailData) { //this is called in app.js, which we run by: node src/app.js
+async function processEmail(emailData, context = {}, config = filterConfig) { //this is called in app.js, which we run by: node src/app.js
     console.log('Starting email processing...'); 
+    const checks = []; // every check we evaluate, in order, so the decision can be explained later
+
     // First check basic filters
-    if (!checkEmailLength(emailData)) {
+    const lengthPassed = checkEmailLength(emailData, config);
+    checks.push({ ruleGroup: 'length', check: 'contentLength', passed: lengthPassed });
+    if (!lengthPassed) {
         console.log('Failed length check');
-        return false;
+        return buildDecision('block', 'LENGTH_OUT_OF_RANGE', 'length', checks);
     }
-    if (!checkAttachmentCount(emailData.Attachments)) {
+    const attachmentsPassed = checkAttachmentCount(emailData.Attachments, config);
+    checks.push({ ruleGroup: 'attachments', check: 'attachmentCount', passed: attachmentsPassed });
+    if (!attachmentsPassed) {
         console.log('Failed attachment check');
-        return false;
+        return buildDecision('block', 'ATTACHMENT_LIMIT_EXCEEDED', 'attachments', checks);
+    }
+    // Real file types, executables, macros and size caps (see attachmentInspector.js)
+    const attachmentReport = context.attachmentReport || inspectAttachments(emailData.Attachments, config.attachments);
+    checks.push({ ruleGroup: 'attachments', check: 'attachmentContent', passed: attachmentReport.action === 'allow', detail: attachmentReport.findings });
+    if (attachmentReport.action !== 'allow') {
+        console.log('Failed attachment content check:', attachmentReport.reason);
+        return buildDecision(attachmentReport.action, attachmentReport.reason, 'attachments', checks);
     }
 
-    // Check content moderation
-    const moderationResult = await checkContentModeration(emailData);
+    // Check content moderation (only hits the API if the caller didn't already)
+    const moderationResult = context.moderation || await checkContentModeration(emailData, {}, config);
     console.log('Moderation result:', moderationResult);
-    if (!moderationResult.overallPassed) {
+    checks.push({ ruleGroup: 'moderation', check: 'contentModeration', passed: moderationResult.overallPassed });
+    if (moderationResult.action === 'block') {
         console.log('Failed moderation check');
-        return false;
+        return buildDecision('block', 'MODERATION_FLAGGED', 'moderation', checks);
+    }
+    if (moderationResult.action === 'quarantine') {
+        console.log('Moderation threshold crossed, quarantining');
+        return buildDecision('quarantine', 'MODERATION_QUARANTINED', 'moderation', checks);
+    }
+    if (moderationResult.unavailable) {
+        // The provider couldn't moderate (all of) it: apply the failure policy instead of assuming it's clean
+        const failurePolicy = config.moderation.availability?.failurePolicy || DEFAULT_AVAILABILITY.failurePolicy;
+        checks.push({ ruleGroup: 'moderation', check: 'moderationAvailable', passed: false, detail: { failurePolicy, failedInputs: moderationResult.failedInputs } });
+        if (failurePolicy === 'fail-closed') {
+            console.log('Moderation unavailable, blocking (fail-closed)');
+            return buildDecision('block', 'MODERATION_UNAVAILABLE', 'moderation', checks);
+        }
+        if (failurePolicy === 'hold') {
+            console.log('Moderation unavailable, holding for re-moderation');
+            return buildDecision('quarantine', 'MODERATION_HELD', 'moderation', checks);
+        }
+        console.warn('Moderation unavailable, continuing without it (fail-open)');
+    }
+    if (moderationResult.truncated?.length) {
+        // Text past chunking.maxChunks wasn't moderated, so padding a body can't hide what follows. The failure
+        // policy applies, but trying again wouldn't moderate more of it, so 'hold' quarantines it for review.
+        const failurePolicy = config.moderation.availability?.failurePolicy || DEFAULT_AVAILABILITY.failurePolicy;
+        checks.push({ ruleGroup: 'moderation', check: 'moderationComplete', passed: false, detail: { failurePolicy, truncated: moderationResult.truncated } });
+        if (failurePolicy === 'fail-closed') {
+            console.log('Text only partly moderated, blocking (fail-closed)');
+            return buildDecision('block', 'MODERATION_INCOMPLETE', 'moderation', checks);
+        }
+        if (failurePolicy === 'hold') {
+            console.log('Text only partly moderated, quarantining for review');
+            return buildDecision('quarantine', 'MODERATION_INCOMPLETE', 'moderation', checks);
+        }
+        console.warn('Text only partly moderated, continuing (fail-open)');
+    }
+
+    // Check SPF/DKIM/DMARC and spam score before trusting the From address at all
+    const senderAuth = evaluateSenderAuth(emailData.Headers || [], config.senderAuth);
+    checks.push({ ruleGroup: 'senderAuth', check: 'senderAuthentication', passed: senderAuth.action === 'allow', detail: senderAuth.results });
+    if (senderAuth.action !== 'allow') {
+        console.log('Failed sender authentication check:', senderAuth.reason);
+        return buildDecision(senderAuth.action, senderAuth.reason, 'senderAuth', checks);
+    }
+    const whitelistTrusted = senderAuth.whitelistTrusted;
+
+    // Links: blacklisted destinations, mismatched anchor text, IP hosts, shorteners, lookalikes (see linkAnalyzer.js)
+    const linkReport = context.linkReport || analyzeLinks(emailData, config.links, config.domains);
+    checks.push({ ruleGroup: 'links', check: 'linkAnalysis', passed: linkReport.action === 'allow', detail: linkReport.summary });
+    if (linkReport.action !== 'allow') {
+        console.log('Failed link check:', linkReport.reason);
+        return buildDecision(linkReport.action, linkReport.reason, 'links', checks);
     }
 
-    // Extract and normalize email components
-    const fromEmail = emailData.From.toLowerCase();
-    const [username, domain] = fromEmail.split('@');
+    // Extract and normalize email components (display name, FromFull, +tags and IDN domains handled in addressParser.js)
+    const sender = parseSender(emailData);
     
     console.log('Processing with config:', {
-        domainsMode: filterConfig.domains.mode,
-        usernamesMode: filterConfig.usernames.mode,
-        email: fromEmail,
-        username,
-        domain
+        domainsMode: config.domains.mode,
+        usernamesMode: config.usernames.mode,
+        email: sender.address,
+        username: sender.localPart,
+        domain: sender.domain,
+        whitelistTrusted
     });
 
+    // Full addresses on the username lists (e.g. added from the quarantine review) beat every other list rule
+    const addressEntry = matchUsername(config.usernames.whitelist, sender);
+    if (addressEntry && addressEntry.includes('@')) {
+        checks.push({ ruleGroup: 'usernames', check: 'addressWhitelist', passed: whitelistTrusted, matched: addressEntry });
+        if (whitelistTrusted) {
+            return buildDecision('allow', 'ADDRESS_WHITELISTED', 'usernames', checks);
+        }
+    }
+    const blockedAddress = matchUsername(config.usernames.blacklist, sender);
+    if (blockedAddress && blockedAddress.includes('@')) {
+        checks.push({ ruleGroup: 'usernames', check: 'addressBlacklist', passed: false, matched: blockedAddress });
+        return buildDecision('block', 'ADDRESS_BLACKLISTED', 'usernames', checks);
+    }
+
     // Process based on domain mode first
-    if (filterConfig.domains.mode === 'none') {
-        const result = processUsernameMode(username);
+    if (config.domains.mode === 'none') {
+        const result = processUsernameMode(sender, checks, config);
         console.log('Username mode result:', result);
         return result;
     }
-    else if (filterConfig.domains.mode === 'all') {
-        // All domains are blacklisted except whitelist
-        if (filterConfig.domains.whitelist.includes(domain)) { //.includes method to check if something exists inside array
-            return true;
+    else if (config.domains.mode === 'all') {
+        // All domains are blacklisted except whitelist (entries also match subdomains, see domainMatcher.js)
+        const whitelistEntry = matchDomain(config.domains.whitelist, sender.domain);
+        checks.push({ ruleGroup: 'domains', check: 'domainWhitelist', passed: Boolean(whitelistEntry), matched: whitelistEntry });
+        if (whitelistEntry && !whitelistTrusted) {
+            checks.push({ ruleGroup: 'senderAuth', check: 'dmarcForWhitelist', passed: false });
+        }
+        if (whitelistEntry && whitelistTrusted) {
+            return buildDecision('allow', 'DOMAIN_WHITELISTED', 'domains', checks);
         }
         // Check username blacklist as final check
-        return !filterConfig.usernames.blacklist.includes(username);
+        const blacklistEntry = matchUsername(config.usernames.blacklist, sender);
+        checks.push({ ruleGroup: 'usernames', check: 'usernameBlacklist', passed: !blacklistEntry, matched: blacklistEntry });
+        return blacklistEntry
+            ? buildDecision('block', 'USERNAME_BLACKLISTED', 'usernames', checks)
+            : buildDecision('allow', 'USERNAME_NOT_BLACKLISTED', 'usernames', checks);
     }
-    else if (filterConfig.domains.mode === 'list') {
+    else if (config.domains.mode === 'list') {
         // Check specific domain blacklist
-        if (filterConfig.domains.blacklist.includes(domain)) {
+        const domainEntry = matchDomain(config.domains.blacklist, sender.domain);
+        checks.push({ ruleGroup: 'domains', check: 'domainBlacklist', passed: !domainEntry, matched: domainEntry });
+        if (domainEntry) {
             // Domain is blacklisted, check username whitelist
-            return filterConfig.usernames.whitelist.includes(username);
+            const whitelistEntry = matchUsername(config.usernames.whitelist, sender);
+            checks.push({ ruleGroup: 'usernames', check: 'usernameWhitelist', passed: Boolean(whitelistEntry), matched: whitelistEntry });
+            if (whitelistEntry && !whitelistTrusted) {
+                checks.push({ ruleGroup: 'senderAuth', check: 'dmarcForWhitelist', passed: false });
+            }
+            return whitelistEntry && whitelistTrusted
+                ? buildDecision('allow', 'USERNAME_WHITELISTED', 'usernames', checks)
+                : buildDecision('block', 'DOMAIN_BLACKLISTED', 'domains', checks);
         }
         // Domain not blacklisted, check username blacklist
-        return !filterConfig.usernames.blacklist.includes(username);
+        const blacklistEntry = matchUsername(config.usernames.blacklist, sender);
+        checks.push({ ruleGroup: 'usernames', check: 'usernameBlacklist', passed: !blacklistEntry, matched: blacklistEntry });
+        return blacklistEntry
+            ? buildDecision('block', 'USERNAME_BLACKLISTED', 'usernames', checks)
+            : buildDecision('allow', 'NO_RULE_MATCHED', 'domains', checks);
     }
-    return true; // Default allow if mode is invalid
+    return buildDecision('allow', 'INVALID_DOMAINS_MODE', 'domains', checks); // Default allow if mode is invalid
+}
+
+// Decisions that came from a whitelist; classification routes don't override these unless routeWhitelisted is set
+const WHITELIST_REASONS = ['ADDRESS_WHITELISTED', 'DOMAIN_WHITELISTED', 'USERNAME_WHITELISTED'];
+
+/**
+ * Classification stage: runs on emails the filters allowed and applies the routing rule for the category
+ * (see classifier.js). Blocked and quarantined emails aren't classified, so they cost no model calls.
+ * @param {Object} emailData - The email data in Postmark shape
+ * @param {Object} decision - Decision from processEmail
+ * @param {Object} config - Policy being applied
+ * @returns {Promise<Object>} - { decision, classification }; classification is null when the stage didn't run
+ */
+async function applyClassification(emailData, decision, config) {
+    const classificationConfig = config.classification;
+    if (!classificationConfig?.enabled || decision.action !== 'allow') {
+        return { decision, classification: null };
+    }
+
+    const classification = await classifyEmail(emailData, classificationConfig);
+    const checks = [...decision.checks];
+    if (classification.error) {
+        checks.push({ ruleGroup: 'classification', check: 'classifierAvailable', passed: false, detail: { error: classification.error, onError: classificationConfig.onError } });
+        return classificationConfig.onError === 'quarantine'
+            ? { decision: buildDecision('quarantine', 'CLASSIFICATION_UNAVAILABLE', 'classification', checks), classification }
+            : { decision: { ...decision, checks }, classification };
+    }
+
+    const route = classification.route;
+    const routed = route && route.action !== 'allow'
+        && (classificationConfig.routeWhitelisted || !WHITELIST_REASONS.includes(decision.reason));
+    checks.push({
+        ruleGroup: 'classification',
+        check: 'classificationRoute',
+        passed: !routed,
+        detail: { category: classification.category, confidence: classification.confidence, action: route?.action || null }
+    });
+    if (routed) {
+        console.log(`Classification route: ${classification.category} -> ${route.action}`);
+        return { decision: buildDecision(route.action, `CLASSIFIED_${classification.category.toUpperCase()}`, 'classification', checks), classification };
+    }
+    return { decision: { ...decision, checks }, classification };
+}
+
+/**
+ * Evaluate an email once: filter checks plus content moderation.
+ * The returned verdict is what the webhook, the output sinks and the JSON-data route all read from,
+ * so moderation runs a single time per email and they can never disagree.
+ * The policy comes from the recipient's tenant (see tenants.js), or filterConfig when none matches.
+ * @param {Object} emailData - The email data in Postmark shape
+ * @param {Object} [context] - Results already computed for this email
+ * @param {Object} [context.rateLimit] - Result of checkRateLimits; a quarantine or block skips every other check
+ * @param {Object} [context.tenant] - Result of resolveTenant, if the caller already has it
+ * @returns {Promise<Object>} - Verdict with isAllowed, the decision trace, moderation, classification, the individual filter checks and the tenant
+ */
+async function evaluateEmail(emailData, context = {}) {
+    const tenant = context.tenant || resolveTenant(emailData, filterConfig);
+    const config = tenant.config;
+    if (tenant.matchedBy) {
+        console.log(`Using policy of tenant '${tenant.name}' (matched by ${tenant.matchedBy})`);
+    }
+
+    // Over a rate limit: decide right away so a burst doesn't spend moderation quota
+    const rateLimit = context.rateLimit;
+    if (rateLimit && rateLimit.action !== 'allow') {
+        const checks = [{ ruleGroup: 'rateLimits', check: 'senderRate', passed: false, detail: { key: rateLimit.key, limit: rateLimit.limit, counts: rateLimit.counts } }];
+        return {
+            isAllowed: false,
+            decision: buildDecision(rateLimit.action, rateLimit.reason, 'rateLimits', checks),
+            moderation: emptyModerationResult(),
+            moderationUnavailable: false,
+            attachments: null,
+            links: null,
+            classification: null,
+            checks: {
+                length: checkEmailLength(emailData, config),
+                attachments: checkAttachmentCount(emailData.Attachments, config)
+            },
+            tenant: tenant.name,
+            evaluatedAt: new Date().toISOString()
+        };
+    }
+
+    const attachmentReport = inspectAttachments(emailData.Attachments, config.attachments);
+    const moderation = await checkContentModeration(emailData, { attachmentReport }, config);
+    const linkReport = analyzeLinks(emailData, config.links, config.domains);
+    const filterDecision = await processEmail(emailData, { moderation, attachmentReport, linkReport }, config);
+    // Category, confidence and routing tags; a route can still quarantine or block an allowed email
+    const { decision, classification } = await applyClassification(emailData, filterDecision, config);
+    const { extractedText, ...attachments } = attachmentReport; // the extracted text itself isn't kept
+
+    return {
+        isAllowed: decision.allowed,
+        decision,
+        moderation,
+        moderationUnavailable: moderation.unavailable,
+        attachments,
+        links: linkReport,
+        classification,
+        checks: {
+            length: checkEmailLength(emailData, config),
+            attachments: checkAttachmentCount(emailData.Attachments, config)
+        },
+        tenant: tenant.name,
+        evaluatedAt: new Date().toISOString()
+    };
 }
 
 /**
  * Helper function to process username mode
- * @param {string} username - The normalized username to check
- * @returns {boolean} - True if username is allowed, false if blocked
+ * @param {Object} sender - The parsed sender (see parseSender)
+ * @param {Array} checks - Checks evaluated so far; the username check is appended
+ * @param {Object} config - Policy being applied
+ * @returns {Object} - Decision from buildDecision
  */
-function processUsernameMode(username) { //we only use this if no domains are blacklisted. 
+function processUsernameMode(sender, checks, config) { //we only use this if no domains are blacklisted. 
                                         //if we used when some domains are blacklisted, this would potentially override domain filtering
-    if (filterConfig.usernames.mode === 'none') {
+    if (config.usernames.mode === 'none') {
         // No usernames are blacklisted
-        return true;
+        checks.push({ ruleGroup: 'usernames', check: 'usernameMode', passed: true });
+        return buildDecision('allow', 'USERNAMES_MODE_NONE', 'usernames', checks);
     }
-    else if (filterConfig.usernames.mode === 'all') {
+    else if (config.usernames.mode === 'all') {
         // All usernames are blacklisted
-        return false;
+        checks.push({ ruleGroup: 'usernames', check: 'usernameMode', passed: false });
+        return buildDecision('block', 'USERNAMES_MODE_ALL', 'usernames', checks);
     }
-    else if (filterConfig.usernames.mode === 'list') {
+    else if (config.usernames.mode === 'list') {
         // Check if username is in blacklist
-        return !filterConfig.usernames.blacklist.includes(username);
+        const blacklistEntry = matchUsername(config.usernames.blacklist, sender);
+        checks.push({ ruleGroup: 'usernames', check: 'usernameBlacklist', passed: !blacklistEntry, matched: blacklistEntry });
+        return blacklistEntry
+            ? buildDecision('block', 'USERNAME_BLACKLISTED', 'usernames', checks)
+            : buildDecision('allow', 'USERNAME_NOT_BLACKLISTED', 'usernames', checks);
     }
-    return true; // Default allow if mode is invalid
+    return buildDecision('allow', 'INVALID_USERNAMES_MODE', 'usernames', checks); // Default allow if mode is invalid
 }
 
 /**
- * Save email data to Google Sheets via Apps Script Web App
+ * Save an evaluated email to its tenant's output sinks (see sinks.js and tenants.js),
+ * each with its own mapping and redaction policy
  * @param {Object} processed - processed email data
  * @param {Object} original - original raw json from Postmark
- * @returns {Promise<boolean>} - True if saved successfully, false otherwise
+ * @param {Object} verdict - result of evaluateEmail
+ * @returns {Promise<Object>} - sink name -> true if written on the first attempt (otherwise queued for retry)
  */
-//future: add timeouts to async function
-async function saveToGoogleSheets({ processed, original }) {
+async function saveResults({ processed, original, verdict }) {
     try {
-        const moderationResult = await checkContentModeration(processed);
-        console.log('Moderation result:', moderationResult);
-
-        const rawScores = moderationResult.text.categoryScores || {};
-        const compactScores = JSON.stringify(rawScores, null, 0);
-        const rawJson = JSON.stringify(original); // Use original Postmark data here
-
-        // Add sanitizeForSheets function
-        function sanitizeForSheets(value) {
-            if (typeof value !== 'string') return '';
-            // Remove control characters and other potentially harmful content
-            return value
-                .replace(/[\x00-\x09\x0B-\x0C\x0E-\x1F\x7F]/g, '')
-                .substring(0, 50000); // Google Sheets cell limit
-        }
+        const tenant = getTenant(verdict.tenant || DEFAULT_TENANT, filterConfig);
+        return await saveToSinks({ processed, original, verdict }, tenant.config.redaction, getSinks(tenant.sinks));
+    } catch (error) {
+        console.error('Error saving results:', error);
+        return {};
+    }
+}
 
-        const isJsonTooLong = rawJson.length > 50000;
+// Rate limit blocks arrive in floods (every message from a blocked sender or IP): they are quarantined as
+// a summary without the email, and not written to the sinks
+const FLOOD_REASONS = ['RATE_LIMIT_BLACKLISTED', 'SENDER_TEMPORARILY_BLOCKED'];
 
-        const combinedData = {
-            postmarkJSON: original,
-            moderationResults: {
-                text: moderationResult.text,
-                images: moderationResult.images,
-                overallPassed: moderationResult.overallPassed,
-                summary: moderationResult.summary
-            },
-            timestamp: new Date().toISOString()
-        };
+/**
+ * Evaluate and save one inbound email
+ * @param {Object} processedData - Email in the internal shape (see ingest.js)
+ * @param {Object} original - Payload as received, stored alongside the verdict
+ * @param {Object} [context] - Passed on to evaluateEmail (rate limit result); context.source is kept in the history
+ * @returns {Promise<Object>} - Webhook response body
+ */
+async function processInboundEmail(processedData, original, context = {}) {
+    console.log('3. Processed data structure:', {
+        From: processedData.From,
+        TextLength: processedData.TextBody?.length || 0,
+        HtmlLength: processedData.HtmlBody?.length || 0,
+        Subject: processedData.Subject
+    });
 
-        const isAllowed = await processEmail(processed);
-
-        const dataToSave = [
-            new Date().toLocaleString('en-US', { hour12: false }),
-            sanitizeForSheets(String(processed.From || 'N/A')),
-            sanitizeForSheets(String(processed.Subject || 'N/A')),
-            sanitizeForSheets(String(processed.TextBody || 'N/A')),
-            processed.HtmlBody ? 'Yes' : 'No',
-            String(processed.Attachments?.length || 0),
-            sanitizeForSheets(String(compactScores || '{}')),
-            sanitizeForSheets(rawJson), // Now using original Postmark JSON
-            String(isJsonTooLong),
-            sanitizeForSheets(JSON.stringify(combinedData)),
-            String(isAllowed)
-        ];
+    const verdict = await evaluateEmail(processedData, context);
+    const isAllowed = verdict.isAllowed;
+    const flood = FLOOD_REASONS.includes(verdict.decision.reason);
 
-        // Replace hardcoded URL with environment variable
-        if (!process.env.GOOGLE_SCRIPT_URL) {
-            throw new Error('GOOGLE_SCRIPT_URL environment variable is not set');
+    // Blocked and quarantined emails are kept locally for review (see quarantineStore.js)
+    let quarantineId = null;
+    if (!isAllowed) {
+        try {
+            quarantineId = (await addToQuarantine(processedData, original, verdict, { keepEmail: !flood })).id;
+        } catch (error) {
+            console.error('Error saving email to quarantine:', error);
         }
+    }
 
-        if (dataToSave.length !== 11) { // Updated length check to 11
-            throw new Error(`Malformed row length: expected 11, got ${dataToSave.length}`);
+    // Optionally tell the sender it was held or rejected (see senderNotifier.js); never for allowed mail
+    let notification = null;
+    if (!isAllowed) {
+        try {
+            const tenant = getTenant(verdict.tenant || DEFAULT_TENANT, filterConfig);
+            notification = await notifySender(processedData, verdict, tenant.config.notifications, {
+                quarantineId,
+                authservIds: tenant.config.senderAuth?.authservIds
+            });
+        } catch (error) {
+            console.error('Error notifying sender:', error);
         }
+    }
 
-        const response = await fetch(process.env.GOOGLE_SCRIPT_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ data: dataToSave })
-        });
+    // Every verdict goes in the dashboard history and out on its live stream (see inboxHistory.js)
+    try {
+        await addToHistory(processedData, verdict, { source: context.source, quarantineId });
+    } catch (error) {
+        console.error('Error saving email to inbox history:', error);
+    }
 
-        const result = await response.json();
-        console.log("Apps Script Response:", JSON.stringify(result, null, 2));
+    const saved = flood ? {} : await saveResults({
+        processed: processedData,
+        original,
+        verdict
+    });
+    
+    console.log(isAllowed ? '4. Email processed and saved:' : '4. Email blocked but saved:', {
+        from: processedData.From,
+        allowed: isAllowed,
+        reason: verdict.decision.reason,
+        saved
+    });
+    return { 
+        success: true, 
+        allowed: isAllowed,
+        decision: verdict.decision,
+        quarantineId,
+        notification,
+        saved
+    };
+}
 
-        if (result.status === 'success') {
-            console.log('Email data saved to Google Sheets');
-        } else {
-            console.error('Failed to save to Google Sheets:', result.message);
-            return false;
+/**
+ * Save a quarantined email downstream as allowed, after a reviewer released it.
+ * The original checks stay in the decision trace so the row still shows what held it.
+ * @param {Object} entry - Quarantine entry (see quarantineStore.js)
+ * @param {string} [note] - Reviewer's note, for the log
+ * @returns {Promise<Object>} - sink name -> true if written on the first attempt
+ */
+async function releaseQuarantinedEmail(entry, note) {
+    const decision = buildDecision('allow', 'RELEASED_FROM_QUARANTINE', 'quarantine', [
+        ...entry.verdict.decision.checks,
+        { ruleGroup: 'quarantine', check: 'reviewerRelease', passed: true, detail: { originalReason: entry.reason } }
+    ]);
+    console.log(`Releasing quarantined email ${entry.id} from ${entry.from}${note ? ` (${note})` : ''}`);
+    return saveResults({
+        processed: entry.email,
+        original: entry.original,
+        verdict: { ...entry.verdict, isAllowed: true, decision }
+    });
+}
+
+/**
+ * Re-moderate emails held while the moderation provider was unavailable (failure policy 'hold').
+ * Oldest first; stops at the first one that still can't be moderated, so an ongoing outage
+ * costs one attempt per run rather than one per held email.
+ * Emails that now pass are released; the rest keep their new verdict for review. The new verdict goes in the
+ * history, and downstream only when its action differs from the held one (so a still-quarantined email
+ * doesn't get a second row).
+ * @returns {Promise<Object>} - { checked, released, updated, stillHeld }
+ */
+async function remoderateHeldEmails() {
+    const held = listQuarantine({ status: 'quarantined', reason: 'MODERATION_HELD' }).reverse();
+    const summary = { checked: 0, released: 0, updated: 0, stillHeld: held.length };
+
+    for (const { id } of held) {
+        const entry = getQuarantineEntry(id);
+        if (!entry || entry.status !== 'quarantined' || entry.reason !== 'MODERATION_HELD') continue;
+
+        const verdict = await evaluateEmail(entry.email);
+        summary.checked += 1;
+        if (verdict.moderationUnavailable && verdict.decision.reason === 'MODERATION_HELD') {
+            console.log('Moderation still unavailable, leaving held emails for the next run');
+            break;
         }
 
-        // After successful save to sheets, combine and post data
-        
- 
-        // Post the combined data to CRUD server
+        summary.stillHeld -= 1;
+        await updateVerdict(id, verdict);
+        // The held email already has its 'quarantine' row downstream; only a different action gets a new one
+        if (verdict.decision.action !== entry.action) {
+            await saveResults({ processed: entry.email, original: entry.original, verdict });
+        }
         try {
-            if (!process.env.CRUD_SERVER_URL) {
-                throw new Error('CRUD_SERVER_URL environment variable is not set');
-            }
-            
-            const response = await fetch(process.env.CRUD_SERVER_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(combinedData)
-            });
+            await addToHistory(entry.email, verdict, { source: 'remoderation', quarantineId: id });
+        } catch (error) {
+            console.error('Error saving email to inbox history:', error);
+        }
+        if (verdict.isAllowed) {
+            await markReviewed(id, 'released', 'Re-moderated after moderation outage');
+            summary.released += 1;
+        } else {
+            summary.updated += 1;
+        }
+        console.log(`Re-moderated held email ${id}: ${verdict.decision.action} (${verdict.decision.reason})`);
+    }
+    return summary;
+}
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+let remoderationTimer = null;
+let remoderationRunning = false;
 
-            console.log('Combined data successfully posted to CRUD server');
-        } catch (postError) {
-            console.error('Error posting combined data to CRUD server:', postError);
-            // Don't throw error here to ensure Google Sheets operation isn't affected
-        }
+/**
+ * Start the background loop that re-moderates held emails
+ * @param {number} [intervalMs] - How often to try
+ */
+function startRemoderationWorker(intervalMs = 60000) {
+    if (remoderationTimer) return;
+    remoderationTimer = setInterval(() => {
+        if (remoderationRunning) return;
+        remoderationRunning = true;
+        remoderateHeldEmails()
+            .catch(err => console.error('Re-moderation worker error:', err))
+            .finally(() => { remoderationRunning = false; });
+    }, intervalMs);
+    remoderationTimer.unref(); // don't keep the process alive just for this
+}
 
-        return true;
-    } catch (error) {
-        console.error('Error in saveToGoogleSheets:', error);
-        return false;
+/**
+ * Job handler for an inbound email queued by the webhook
+ * @param {Object} payload - { key, email, original, rateLimit, source }
+ * @returns {Promise<Object>} - { action, reason } of the verdict (the rest of it is in the history)
+ */
+async function processInboundJob({ key, email, original, rateLimit, source }) {
+    const { response, duplicate } = await runOnce(key, () => processInboundEmail(email, original, { rateLimit, source }));
+    if (duplicate) {
+        console.log(`Duplicate delivery of ${key}, keeping stored verdict`);
     }
+    return { action: response.decision.action, reason: response.decision.reason };
 }
 
 /**
- * Example usage with Postmark webhook handler
+ * Keep an email whose job failed on every attempt instead of losing it: it is quarantined for review
+ * with a PROCESSING_FAILED verdict and recorded in the history (not written to the sinks)
+ * @param {Object} payload - { key, email, original, rateLimit, source }
+ * @param {Error} error - The last error
+ * @returns {Promise<void>}
  */
-//future: add timeouts to async function
-async function handlePostmarkWebhook(req, res) {
-    try {
-        console.log('\n=== START OF REQUEST PROCESSING ===');
-        console.log('1. Raw request body:', JSON.stringify(req.body, null, 2));
-        
-        // Extract email data from MessageDetails
-        const emailData = req.body?.MessageDetails || req.body;
-        console.log('2. Extracted email data:', JSON.stringify(emailData, null, 2));
-        
-        // Ensure the data is properly structured
-        const processedData = {
-            From: emailData.From,
-            Subject: emailData.Subject,
-            TextBody: emailData.TextBody || '',
-            HtmlBody: emailData.HtmlBody || '',
-            Attachments: emailData.Attachments || []
-        };
-        
-        console.log('3. Processed data structure:', {
-            From: processedData.From,
-            TextLength: processedData.TextBody?.length || 0,
-            HtmlLength: processedData.HtmlBody?.length || 0,
-            Subject: processedData.Subject
-        });
+async function quarantineFailedJob({ email, original, source }, error) {
+    const checks = [{ ruleGroup: 'quarantine', check: 'processing', passed: false, detail: { error: error.message } }];
+    const verdict = {
+        isAllowed: false,
+        decision: buildDecision('quarantine', 'PROCESSING_FAILED', 'quarantine', checks),
+        moderation: emptyModerationResult(),
+        moderationUnavailable: false,
+        attachments: null,
+        links: null,
+        classification: null,
+        checks: {},
+        tenant: resolveTenant(email, filterConfig).name,
+        evaluatedAt: new Date().toISOString()
+    };
+    const { id } = await addToQuarantine(email, original, verdict);
+    await addToHistory(email, verdict, { source, quarantineId: id });
+    console.error(`Quarantined ${id} from ${email.From} after processing failed: ${error.message}`);
+}
 
-        const isAllowed = await processEmail(processedData);
+registerJobType('inbound', processInboundJob, { onFailed: quarantineFailedJob });
 
-        const saveResult = await saveToGoogleSheets({
-            processed: processedData,
-            original: emailData  // This is the original Postmark data
-        });
-        
-        if (isAllowed) {
-            console.log('4. Email processed and saved:', {
-                from: processedData.From,
-                allowed: isAllowed,
-                saved: saveResult
-            });
-            res.json({ 
-                success: true, 
-                allowed: true,
-                savedToSheets: saveResult 
-            });
-        } else {
-            console.log('4. Email blocked but saved:', {
-                from: processedData.From,
-                allowed: isAllowed,
-                saved: saveResult
+/**
+ * Build an Express handler for one inbound source.
+ * The handler only validates and queues the message, then answers 202; the job queue
+ * (see jobQueue.js) does the moderation and saving, and /api/jobs/:messageId reports the outcome.
+ * @param {string} source - Source name for logging, e.g. 'postmark'
+ * @param {Function} normalize - (req) => { email, original } in the internal shape (see ingest.js)
+ * @returns {Function} - async (req, res) handler
+ */
+function createInboundHandler(source, normalize) {
+    return async function handleInboundWebhook(req, res) {
+        try {
+            console.log(`\n=== START OF REQUEST PROCESSING (${source}) ===`);
+            console.log('1. Raw request body:', Buffer.isBuffer(req.body) ? `<${req.body.length} bytes>` : JSON.stringify(req.body, null, 2));
+
+            const { email, original } = normalize(req);
+            console.log('2. Extracted email data:', JSON.stringify(email, null, 2));
+            if (!email.From) {
+                return res.status(400).json({ success: false, error: 'Message has no sender address' });
+            }
+
+            // Postmark retries webhooks; a message we already have a job for gets that job's status back
+            const key = messageKey(email);
+            const existing = getJob(key);
+            if (existing && existing.status !== 'failed') {
+                console.log(`Duplicate delivery of ${key}, job is ${existing.status}`);
+                return res.status(202).json({ success: true, duplicate: true, job: describeJob(existing) });
+            }
+
+            // Sender rate limits (see senderReputation.js); retries of a message we already handled aren't counted again
+            const tenantConfig = resolveTenant(email, filterConfig).config;
+            const rateLimit = existing || getProcessed(key) ? null
+                : checkRateLimits(email, tenantConfig.rateLimits, tenantConfig.senderAuth?.authservIds);
+            if (rateLimit?.action === 'throttle') {
+                console.log(`Throttling ${rateLimit.key}: over ${rateLimit.limit.maxMessages} messages per ${rateLimit.limit.windowSeconds}s`);
+                res.set('Retry-After', String(rateLimit.retryAfter));
+                return res.status(429).json({ success: false, error: 'Rate limit exceeded', reason: rateLimit.reason, key: rateLimit.key });
+            }
+
+            const job = await enqueueJob('inbound', key, { key, email, original, rateLimit, source }, {
+                messageId: email.MessageID || null,
+                source
             });
-            res.json({ 
-                success: true, 
-                allowed: false,
-                savedToSheets: saveResult 
+            console.log(`Queued ${key} from ${source}`);
+            res.status(202).json({ success: true, duplicate: false, job });
+        } catch (error) {
+            console.error('Webhook handler error:', error);
+            res.status(500).json({ 
+                success: false, 
+                error: error.message 
             });
         }
-    } catch (error) {
-        console.error('Webhook handler error:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
-        });
-    }
+    };
 }
 
+// One handler per inbound source; each normalizes its payload into the same internal shape
+const handlePostmarkWebhook = createInboundHandler('postmark', req => normalizePostmark(req.body));
+const handleRawMimeWebhook = createInboundHandler('raw-mime', req => normalizeRawMime(req.body));
+const handleSendGridWebhook = createInboundHandler('sendgrid', req => normalizeSendGrid(req.form));
+const handleMailgunWebhook = createInboundHandler('mailgun', req => normalizeMailgun(req.form));
+
 module.exports = {
     processEmail,
+    evaluateEmail,
     checkAttachmentCount,
     filterConfig,
     checkContentModeration,
-    handlePostmarkWebhook  // Add this line
+    handlePostmarkWebhook,  // Add this line
+    handleRawMimeWebhook,
+    handleSendGridWebhook,
+    handleMailgunWebhook,
+    releaseQuarantinedEmail,
+    remoderateHeldEmails,
+    startRemoderationWorker
 };
\ No newline at end of file
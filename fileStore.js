@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Small helpers for the JSON files we keep on local disk (config, outbox, ...)
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Returned when the file doesn't exist or can't be parsed
+ * @returns {*} - Parsed contents or the fallback
+ */
+function readJsonFile(filePath, fallback) {
+    try {
+        if (!fs.existsSync(filePath)) {
+            return fallback;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        console.error(`Error reading ${filePath}:`, err);
+        return fallback;
+    }
+}
+
+/**
+ * Write JSON to disk via a temp file + rename so a crash can't leave half a file
+ * @param {string} filePath - File to write
+ * @param {*} data - Data to serialize
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // A temp name of its own, so two writers of the same file never share (or rename away) each other's
+    const tmpPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * A save function for one JSON file that keeps being rewritten (a store's state). Saves are chained,
+ * so they land in the order they were asked for; a failed one is logged and doesn't stop the next.
+ * @param {string} filePath - File to write
+ * @param {string} label - What the file holds, for the error message, e.g. 'outbox'
+ * @param {Object} [options] - { durable: true } for stores whose callers only report success once the data
+ *   is on disk (outbox, job queue): their saves reject when the write fails. Other saves always resolve.
+ * @returns {Function} - save(data) => Promise<void>; pass a snapshot, not live state
+ */
+function createJsonWriter(filePath, label, options = {}) {
+    let queue = Promise.resolve();
+    return (data) => {
+        const write = queue
+            .then(() => writeJsonFile(filePath, data))
+            .catch(err => {
+                console.error(`Error saving ${label}:`, err);
+                if (options.durable) throw err;
+            });
+        queue = write.catch(() => {});
+        return write;
+    };
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile,
+    createJsonWriter
+};
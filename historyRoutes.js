@@ -0,0 +1,109 @@
+const express = require('express');
+const { requireAdmin } = require('./adminAuth');
+const { listEntries, getEntry, entriesAfter, matchesFilters, subscribe } = require('./inboxHistory');
+
+// Inbox history for the dashboard, mounted under /api/history
+const router = express.Router();
+router.use(requireAdmin);
+
+const ACTIONS = ['allow', 'quarantine', 'block'];
+const MAX_PAGE_SIZE = 200;
+const HEARTBEAT_MS = 25000; // keeps proxies from closing an idle stream
+
+/**
+ * Read and check the filters shared by the list and the stream
+ * @param {Object} query - req.query
+ * @returns {Object} - { filters } or { error }
+ */
+function parseFilters(query) {
+    const { action, allowed, reason, ruleGroup, tenant, source, category, tag, sender, q, since, until } = query;
+    if (action && !ACTIONS.includes(action)) {
+        return { error: `action must be one of: ${ACTIONS.join(', ')}` };
+    }
+    if (allowed !== undefined && !['true', 'false'].includes(allowed)) {
+        return { error: 'allowed must be true or false' };
+    }
+    if ((since && Number.isNaN(Date.parse(since))) || (until && Number.isNaN(Date.parse(until)))) {
+        return { error: 'since and until must be dates' };
+    }
+    return {
+        filters: {
+            action,
+            allowed: allowed === undefined ? undefined : allowed === 'true',
+            reason,
+            ruleGroup,
+            tenant,
+            source,
+            category,
+            tag,
+            sender,
+            q,
+            since,
+            until
+        }
+    };
+}
+
+// List processed emails, newest first. ?page (from 1), ?pageSize (up to 200) and the filters:
+// ?action, ?allowed, ?reason, ?ruleGroup, ?tenant, ?source, ?category, ?tag, ?sender, ?q (subject), ?since, ?until
+router.get('/', (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? 50 : Number(req.query.pageSize);
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ success: false, error: 'page must be a positive integer' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({ success: false, error: `pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}` });
+    }
+    res.json({ success: true, ...listEntries(filters, page, pageSize) });
+});
+
+// Server-Sent Events: a 'verdict' event with the entry summary for each email as it is processed.
+// Takes the same filters as the list. A client reconnecting with Last-Event-ID first gets what it missed.
+router.get('/stream', (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx would otherwise buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (summary) => {
+        if (!matchesFilters(summary, filters)) return;
+        res.write(`id: ${summary.id}\nevent: verdict\ndata: ${JSON.stringify(summary)}\n\n`);
+    };
+
+    const lastEventId = req.get('last-event-id');
+    if (lastEventId) {
+        entriesAfter(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// One processed email: the email (without attachment contents) and its stored verdict
+router.get('/:id', (req, res) => {
+    const entry = getEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ success: false, error: 'History entry not found' });
+    }
+    res.json({ success: true, entry });
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { parseSender } = require('./addressParser');
+const { savePayload, loadPayload, deletePayload } = require('./payloadStore');
+
+/**
+ * History of processed emails for the dashboard: every verdict the webhook produced, newest last,
+ * capped at HISTORY_MAX_ENTRIES (oldest dropped first). Entries keep the email and its stored verdict,
+ * so nothing is evaluated again to show them. Attachment contents are not kept, only their
+ * name, type and size.
+ * history.json (and memory) only hold the entry summaries; each entry's email and verdict are a file of
+ * their own (see payloadStore.js), read when the entry is opened.
+ * Listeners registered with subscribe() get each new entry as it is added (the SSE stream uses this).
+ */
+
+const HISTORY_PATH = process.env.HISTORY_PATH || path.join(__dirname, 'data', 'history.json');
+const MAX_ENTRIES = Number(process.env.HISTORY_MAX_ENTRIES) || 500;
+const PAYLOAD_KIND = 'history';
+
+let entries = readJsonFile(HISTORY_PATH, []);
+const save = createJsonWriter(HISTORY_PATH, 'inbox history');
+const listeners = new Set();
+
+/**
+ * Save the history
+ * @returns {Promise<void>}
+ */
+function persist() {
+    return save(entries.slice());
+}
+
+/**
+ * The fields shown in list views and pushed to the stream (everything except the email and verdict)
+ * @param {Object} entry - History entry
+ * @returns {Object} - Summary of the entry
+ */
+function summarize(entry) {
+    const { email, verdict, payloadStored, ...summary } = entry;
+    return summary;
+}
+
+/**
+ * Copy of the email without attachment contents
+ * @param {Object} email - Email in the internal shape (see ingest.js)
+ * @returns {Object} - Email with { Name, ContentType, ContentLength, ContentID } per attachment
+ */
+function withoutAttachmentContent(email) {
+    return {
+        ...email,
+        Attachments: (email.Attachments || []).map(({ Content, ...attachment }) => ({
+            ...attachment,
+            ContentLength: attachment.ContentLength ?? Math.floor(String(Content || '').length * 3 / 4)
+        }))
+    };
+}
+
+/**
+ * Record a processed email and notify the stream listeners
+ * @param {Object} email - Email in the internal shape
+ * @param {Object} verdict - Result of evaluateEmail
+ * @param {Object} [meta] - { source, quarantineId }
+ * @returns {Promise<Object>} - Summary of the stored entry
+ */
+async function addEntry(email, verdict, meta = {}) {
+    const sender = parseSender(email);
+    const entry = {
+        id: crypto.randomUUID(),
+        messageId: email.MessageID || null,
+        receivedAt: new Date().toISOString(),
+        source: meta.source || null,
+        tenant: verdict.tenant || 'default',
+        from: sender.address,
+        domain: sender.domain,
+        to: email.To || '',
+        subject: email.Subject || '',
+        allowed: verdict.isAllowed,
+        action: verdict.decision.action,
+        reason: verdict.decision.reason,
+        ruleGroup: verdict.decision.ruleGroup,
+        moderationAction: verdict.moderation.action,
+        category: verdict.classification?.category || null,
+        tags: verdict.classification?.tags || [],
+        quarantineId: meta.quarantineId || null,
+        payloadStored: true
+    };
+    await savePayload(PAYLOAD_KIND, entry.id, { email: withoutAttachmentContent(email), verdict });
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) {
+        const dropped = entries.slice(0, entries.length - MAX_ENTRIES);
+        entries = entries.slice(entries.length - MAX_ENTRIES);
+        dropped.filter(old => old.payloadStored).forEach(old => deletePayload(PAYLOAD_KIND, old.id));
+    }
+    await persist();
+
+    const summary = summarize(entry);
+    listeners.forEach(listener => {
+        try {
+            listener(summary);
+        } catch (err) {
+            console.error('Inbox history listener error:', err);
+        }
+    });
+    return summary;
+}
+
+/**
+ * Check an entry against list filters
+ * @param {Object} entry - History entry
+ * @param {Object} filters - See listEntries
+ * @returns {boolean} - True if it matches every filter given
+ */
+function matchesFilters(entry, filters) {
+    const sender = filters.sender ? filters.sender.toLowerCase() : null;
+    const q = filters.q ? filters.q.toLowerCase() : null;
+    return (!filters.action || entry.action === filters.action)
+        && (filters.allowed === undefined || entry.allowed === filters.allowed)
+        && (!filters.reason || entry.reason === filters.reason)
+        && (!filters.ruleGroup || entry.ruleGroup === filters.ruleGroup)
+        && (!filters.tenant || entry.tenant === filters.tenant)
+        && (!filters.source || entry.source === filters.source)
+        && (!filters.category || entry.category === filters.category)
+        && (!filters.tag || (entry.tags || []).includes(filters.tag))
+        && (!sender || String(entry.from).includes(sender))
+        && (!q || entry.subject.toLowerCase().includes(q))
+        && (!filters.since || Date.parse(entry.receivedAt) >= Date.parse(filters.since))
+        && (!filters.until || Date.parse(entry.receivedAt) < Date.parse(filters.until));
+}
+
+/**
+ * List history entries, newest first, one page at a time
+ * @param {Object} [filters] - All optional
+ * @param {string} [filters.action] - 'allow', 'quarantine' or 'block'
+ * @param {boolean} [filters.allowed] - Only allowed (true) or only not allowed (false)
+ * @param {string} [filters.reason] - Reason code, e.g. 'DOMAIN_BLACKLISTED'
+ * @param {string} [filters.ruleGroup] - Deciding rule group
+ * @param {string} [filters.tenant] - Tenant whose policy applied
+ * @param {string} [filters.source] - 'postmark', 'raw-mime', 'sendgrid', 'mailgun', 'local' (POST /api/email) or
+ *   'remoderation' (new verdict for an email held during a moderation outage)
+ * @param {string} [filters.category] - Classification category, e.g. 'support'
+ * @param {string} [filters.tag] - Routing tag from the classification route
+ * @param {string} [filters.sender] - Substring of the sender address
+ * @param {string} [filters.q] - Substring of the subject
+ * @param {string} [filters.since] - ISO date; only entries received at or after it
+ * @param {string} [filters.until] - ISO date; only entries received before it
+ * @param {number} [page] - 1-based page number
+ * @param {number} [pageSize] - Entries per page
+ * @returns {Object} - { total, page, pageSize, entries } with entry summaries
+ */
+function listEntries(filters = {}, page = 1, pageSize = 50) {
+    const matching = entries.filter(entry => matchesFilters(entry, filters)).reverse();
+    const start = (page - 1) * pageSize;
+    return {
+        total: matching.length,
+        page,
+        pageSize,
+        entries: matching.slice(start, start + pageSize).map(summarize)
+    };
+}
+
+/**
+ * An entry with its email and verdict read back in
+ * @param {Object} entry - Stored entry
+ * @returns {Object} - The entry with email and verdict (null if the payload file is gone)
+ */
+function withPayload(entry) {
+    if (!entry.payloadStored) {
+        return entry; // stored inline before payload files
+    }
+    const payload = loadPayload(PAYLOAD_KIND, entry.id) || {};
+    return { ...entry, email: payload.email ?? null, verdict: payload.verdict ?? null };
+}
+
+/**
+ * Get one entry with its email and verdict
+ * @param {string} id - Entry id
+ * @returns {Object|null} - The entry, or null if not found
+ */
+function getEntry(id) {
+    const entry = entries.find(existing => existing.id === id);
+    return entry ? withPayload(entry) : null;
+}
+
+/**
+ * The most recent entry, with its email and verdict
+ * @returns {Object|null} - The entry, or null if the history is empty
+ */
+function getLatestEntry() {
+    const entry = entries[entries.length - 1];
+    return entry ? withPayload(entry) : null;
+}
+
+/**
+ * Summaries of the entries added after a given one, oldest first (for stream clients that reconnect)
+ * @param {string} id - Id of the last entry the client saw
+ * @returns {Array} - Entry summaries; empty if the id is unknown (e.g. already dropped)
+ */
+function entriesAfter(id) {
+    const index = entries.findIndex(entry => entry.id === id);
+    return index === -1 ? [] : entries.slice(index + 1).map(summarize);
+}
+
+/**
+ * Get called with the summary of every new entry
+ * @param {Function} listener - (summary) => void
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+module.exports = {
+    addEntry,
+    listEntries,
+    getEntry,
+    getLatestEntry,
+    entriesAfter,
+    matchesFilters,
+    subscribe,
+    summarize
+};
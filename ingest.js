@@ -0,0 +1,244 @@
+const { parseMime, parseHeaders, parseFormData, decodeCharset } = require('./mimeParser');
+
+/**
+ * Ingestion layer: turns every inbound source into the internal email shape processEmail consumes.
+ * The internal shape is Postmark's (that's what the filter was written against):
+ *   { MessageID, From, FromFull, To, OriginalRecipient, Subject, Date, TextBody, HtmlBody, Headers: [{ Name, Value }],
+ *     Attachments: [{ Name, ContentType, Content (base64), ContentID, ContentLength }] }
+ * OriginalRecipient is the envelope recipient, which tenants are matched on (see tenants.js); To is the
+ * header the sender wrote and is for display only.
+ * Each normalizer returns { email, original }, where original is what gets stored as the raw payload.
+ */
+
+/**
+ * Pull the bare address out of a header value like '"Jane Doe" <jane@example.com>'
+ * @param {string} value - Address header value
+ * @returns {Object} - { Email, Name }
+ */
+function splitAddress(value = '') {
+    const match = value.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+    if (match) {
+        return { Email: match[2].trim(), Name: match[1].replace(/^"|"$/g, '').trim() };
+    }
+    return { Email: value.trim(), Name: '' };
+}
+
+/**
+ * Find a header value by name (case-insensitive)
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {string} name - Header name
+ * @returns {string|undefined} - First matching value
+ */
+function findHeader(headers, name) {
+    return headers.find(h => h.Name.toLowerCase() === name.toLowerCase())?.Value;
+}
+
+/**
+ * Build the common fields of the internal shape from a header list
+ * @param {Array} headers - [{ Name, Value }]
+ * @returns {Object} - Partial internal email
+ */
+function fromHeaders(headers) {
+    const fromFull = splitAddress(findHeader(headers, 'From'));
+    return {
+        MessageID: (findHeader(headers, 'Message-ID') || '').replace(/^<|>$/g, '') || undefined,
+        From: fromFull.Email,
+        FromFull: fromFull,
+        To: findHeader(headers, 'To') || '',
+        Subject: findHeader(headers, 'Subject') || '',
+        Date: findHeader(headers, 'Date') || '',
+        Headers: headers
+    };
+}
+
+/**
+ * Postmark inbound JSON (optionally wrapped in MessageDetails)
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { email, original }
+ */
+function normalizePostmark(body) {
+    const emailData = body?.MessageDetails || body || {};
+    return {
+        email: {
+            MessageID: emailData.MessageID,
+            From: emailData.From,
+            FromFull: emailData.FromFull,
+            To: emailData.To,
+            OriginalRecipient: emailData.OriginalRecipient,
+            MailboxHash: emailData.MailboxHash,
+            Subject: emailData.Subject,
+            Date: emailData.Date,
+            TextBody: emailData.TextBody || '',
+            HtmlBody: emailData.HtmlBody || '',
+            Headers: emailData.Headers || [],
+            Attachments: emailData.Attachments || []
+        },
+        original: emailData // This is the original Postmark data
+    };
+}
+
+/**
+ * Raw RFC 822 message (.eml). The first text/plain and text/html leaves become the bodies;
+ * every other leaf is an attachment, with inline parts keeping their Content-ID for cid: matching.
+ * The envelope recipient comes from the topmost Delivered-To or X-Original-To, which our MTA adds on delivery.
+ * @param {Buffer|string} raw - The message
+ * @returns {Object} - { email, original }
+ */
+function normalizeRawMime(raw) {
+    const root = parseMime(raw);
+    const email = {
+        ...fromHeaders(root.headers),
+        OriginalRecipient: findHeader(root.headers, 'Delivered-To') || findHeader(root.headers, 'X-Original-To') || '',
+        TextBody: '',
+        HtmlBody: '',
+        Attachments: []
+    };
+
+    const walk = (part) => {
+        if (part.parts.length) {
+            part.parts.forEach(walk);
+            return;
+        }
+        const filename = part.dispositionParams.filename || part.params.name;
+        const isAttachment = part.disposition === 'attachment' || Boolean(filename);
+        if (!isAttachment && part.contentType === 'text/plain' && !email.TextBody) {
+            email.TextBody = decodeCharset(part.body, part.params.charset);
+        } else if (!isAttachment && part.contentType === 'text/html' && !email.HtmlBody) {
+            email.HtmlBody = decodeCharset(part.body, part.params.charset);
+        } else {
+            email.Attachments.push({
+                Name: filename || `part-${email.Attachments.length + 1}`,
+                ContentType: part.contentType,
+                Content: part.body.toString('base64'),
+                ContentID: part.contentId || '',
+                ContentLength: part.body.length
+            });
+        }
+    };
+    walk(root);
+
+    return { email, original: email };
+}
+
+/**
+ * Read a JSON form field, tolerating garbage
+ * @param {string} value - Field value
+ * @param {*} fallback - Returned when missing or invalid
+ * @returns {*} - Parsed value
+ */
+function parseJsonField(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+/**
+ * SendGrid Inbound Parse (multipart/form-data). With "POST the raw, full MIME message" enabled
+ * the whole message arrives in the `email` field and goes through the MIME parser instead.
+ * The envelope recipients are in the `envelope` field ({ to: [...], from }).
+ * @param {Object} form - { fields, files } from parseFormData
+ * @returns {Object} - { email, original }
+ */
+function normalizeSendGrid({ fields, files }) {
+    const envelopeTo = (parseJsonField(fields.envelope, {}) || {}).to;
+    const originalRecipient = (Array.isArray(envelopeTo) ? envelopeTo : [envelopeTo]).filter(Boolean).join(', ');
+    if (fields.email) {
+        const parsed = normalizeRawMime(fields.email);
+        parsed.email.OriginalRecipient = originalRecipient;
+        return parsed;
+    }
+
+    const headers = parseHeaders(fields.headers || '');
+    const attachmentInfo = parseJsonField(fields['attachment-info'], {});
+    const email = {
+        ...fromHeaders(headers),
+        TextBody: fields.text || '',
+        HtmlBody: fields.html || '',
+        Attachments: Object.entries(files).map(([field, file]) => {
+            const info = attachmentInfo[field] || {};
+            return {
+                Name: info.filename || file.filename,
+                ContentType: info.type || file.contentType,
+                Content: file.content.toString('base64'),
+                ContentID: info['content-id'] || '',
+                ContentLength: file.content.length
+            };
+        })
+    };
+    // Prefer the form fields when headers weren't posted
+    if (!email.From) {
+        email.FromFull = splitAddress(fields.from);
+        email.From = email.FromFull.Email;
+    }
+    email.Subject = email.Subject || fields.subject || '';
+    email.To = email.To || fields.to || '';
+    email.OriginalRecipient = originalRecipient;
+
+    return { email, original: { ...fields } };
+}
+
+/**
+ * Mailgun route forwarding (multipart/form-data or urlencoded). Routes that forward to a URL
+ * ending in "mime" post the raw message as `body-mime`, which goes through the MIME parser.
+ * The envelope recipient is the `recipient` field.
+ * @param {Object} form - { fields, files }
+ * @returns {Object} - { email, original }
+ */
+function normalizeMailgun({ fields, files }) {
+    if (fields['body-mime']) {
+        const parsed = normalizeRawMime(fields['body-mime']);
+        parsed.email.OriginalRecipient = fields.recipient || '';
+        return parsed;
+    }
+
+    const headers = parseJsonField(fields['message-headers'], []).map(([Name, Value]) => ({ Name, Value }));
+    // content-id-map is { "<cid>": "attachment-1" }; flip it to look up by field name
+    const cidByField = {};
+    Object.entries(parseJsonField(fields['content-id-map'], {})).forEach(([cid, field]) => {
+        cidByField[field] = cid.replace(/^<|>$/g, '');
+    });
+
+    const fromFull = splitAddress(fields.from || findHeader(headers, 'From'));
+    const email = {
+        ...fromHeaders(headers),
+        MessageID: (fields['Message-Id'] || findHeader(headers, 'Message-Id') || '').replace(/^<|>$/g, '') || undefined,
+        From: fromFull.Email,
+        FromFull: fromFull,
+        To: fields.To || fields.recipient || '',
+        OriginalRecipient: fields.recipient || '',
+        Subject: fields.subject || '',
+        TextBody: fields['body-plain'] || '',
+        HtmlBody: fields['body-html'] || '',
+        Attachments: Object.entries(files).map(([field, file]) => ({
+            Name: file.filename,
+            ContentType: file.contentType,
+            Content: file.content.toString('base64'),
+            ContentID: cidByField[field] || '',
+            ContentLength: file.content.length
+        }))
+    };
+    return { email, original: { ...fields } };
+}
+
+/**
+ * Express middleware: parse a multipart/form-data (raw Buffer) or urlencoded body into req.form
+ */
+function parseFormBody(req, res, next) {
+    if (Buffer.isBuffer(req.body)) {
+        req.form = parseFormData(req.body, req.get('content-type') || '');
+    } else {
+        req.form = { fields: req.body || {}, files: {} };
+    }
+    next();
+}
+
+module.exports = {
+    normalizePostmark,
+    normalizeRawMime,
+    normalizeSendGrid,
+    normalizeMailgun,
+    parseFormBody,
+    splitAddress
+};
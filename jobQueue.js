@@ -0,0 +1,254 @@
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { savePayload, loadPayload, deletePayload } = require('./payloadStore');
+
+/**
+ * Disk-backed job queue for inbound emails, so webhooks can be acknowledged right away
+ * and the slow part (moderation, sink writes) runs in the background.
+ * A pool of JOB_CONCURRENCY workers takes queued jobs in order. A job that throws is retried
+ * up to JOB_MAX_ATTEMPTS times and then marked 'failed', and its type's onFailed handler gets the payload
+ * (inbound emails are quarantined that way, so they aren't lost). Jobs are keyed by their dedupe key
+ * (see dedupeStore.messageKey), so a redelivered message finds its existing job.
+ * Payloads are a file per job (see payloadStore.js), so the frequent status writes stay small; the file is
+ * deleted once the job is done or failed. Finished jobs keep only their outcome (action and reason) for the
+ * retention window, for the status API.
+ */
+
+const JOBS_PATH = process.env.JOBS_PATH || path.join(__dirname, 'data', 'jobs.json');
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS) || 10000; // 10s, 20s, ...
+const RETENTION_MS = (Number(process.env.JOB_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const PAYLOAD_KIND = 'jobs';
+
+// job type -> async function(payload) returning the job's outcome, { action, reason }
+const handlers = {};
+// job type -> async function(payload, error) called when a job has failed for good
+const failureHandlers = {};
+
+// Jobs in enqueue order. A restart puts jobs that were mid-processing back in the queue, and drops those still
+// being enqueued (never acknowledged, so the sender retries them).
+let jobs = readJsonFile(JOBS_PATH, [])
+    .filter(job => job.status !== 'queued' || job.nextAttemptAt)
+    .map(job => (job.status === 'processing' ? { ...job, status: 'queued' } : job));
+let active = 0;
+const save = createJsonWriter(JOBS_PATH, 'job queue', { durable: true });
+let workerTimer = null;
+
+/**
+ * Save the queue
+ * @returns {Promise<void>} - Rejects if the write failed
+ */
+function persist() {
+    return save(jobs.map(job => ({ ...job })));
+}
+
+/**
+ * Register the function that processes a job type
+ * @param {string} type - Job type, e.g. 'inbound'
+ * @param {Function} handler - async (payload) => { action, reason }; throws on failure
+ * @param {Object} [options] - { onFailed: async (payload, error) => void, for a job out of attempts }
+ */
+function registerJobType(type, handler, options = {}) {
+    handlers[type] = handler;
+    failureHandlers[type] = options.onFailed || null;
+}
+
+/**
+ * Drop finished jobs older than the retention window
+ */
+function pruneExpired() {
+    const cutoff = Date.now() - RETENTION_MS;
+    const expired = job => ['done', 'failed'].includes(job.status) && Date.parse(job.finishedAt) < cutoff;
+    jobs.filter(job => expired(job) && job.payloadStored).forEach(job => deletePayload(PAYLOAD_KIND, job.id));
+    jobs = jobs.filter(job => !expired(job));
+}
+
+/**
+ * Drop a job's payload once nothing needs it any more
+ * @param {Object} job - Job
+ */
+function releasePayload(job) {
+    delete job.payload; // jobs queued before payload files kept it inline
+    if (job.payloadStored) {
+        job.payloadStored = false;
+        deletePayload(PAYLOAD_KIND, job.id);
+    }
+}
+
+/**
+ * The job fields returned by the status API (everything except the payload)
+ * @param {Object} job - Job
+ * @returns {Object} - Job without its payload
+ */
+function describeJob(job) {
+    const { payload, payloadStored, ...status } = job;
+    return status;
+}
+
+/**
+ * Find a job by its key or by the MessageID it was created for
+ * @param {string} idOrMessageId - Job key (e.g. 'msgid:...') or MessageID
+ * @returns {Object|null} - The job, or null
+ */
+function getJob(idOrMessageId) {
+    return jobs.find(job => job.id === idOrMessageId)
+        || jobs.find(job => job.messageId && job.messageId === idOrMessageId)
+        || null;
+}
+
+/**
+ * Add a job to the queue and wake the workers. The job is in the queue (and found by getJob) before anything
+ * is awaited, so a second delivery of the same key arriving meanwhile sees it as a duplicate.
+ * @param {string} type - Registered job type
+ * @param {string} id - Unique key for the job; replaces a finished job with the same key
+ * @param {Object} payload - Data handed to the handler
+ * @param {Object} [meta] - Extra fields kept on the job for lookups, e.g. { messageId, source }
+ * @returns {Promise<Object>} - The job as described by the status API; rejects if it couldn't be saved to disk,
+ *   so the webhook doesn't acknowledge an email it could lose
+ */
+async function enqueueJob(type, id, payload, meta = {}) {
+    if (!handlers[type]) {
+        throw new Error(`Unknown job type '${type}'`);
+    }
+    pruneExpired();
+    jobs = jobs.filter(existing => existing.id !== id); // a failed job being retried by a redelivery
+    const job = {
+        id,
+        type,
+        ...meta,
+        status: 'queued',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: null, // not due (so no worker takes it) until its payload is on disk
+        startedAt: null,
+        finishedAt: null,
+        action: null,
+        reason: null,
+        error: null,
+        payloadStored: true
+    };
+    jobs.push(job);
+    try {
+        await savePayload(PAYLOAD_KIND, id, payload);
+    } catch (err) {
+        jobs = jobs.filter(existing => existing !== job);
+        throw err;
+    }
+    job.nextAttemptAt = new Date().toISOString();
+    await persist();
+    setImmediate(pump);
+    return describeJob(job);
+}
+
+/**
+ * Hand a job that failed for good to its type's onFailed handler. The payload is only dropped once that
+ * worked, so a failing handler leaves it on disk until the job expires.
+ * @param {Object} job - Failed job
+ * @param {Object|null} payload - Its payload
+ * @param {Error} error - The last error
+ * @returns {Promise<void>}
+ */
+async function handleFailedJob(job, payload, error) {
+    const onFailed = failureHandlers[job.type];
+    if (!onFailed || !payload) return;
+    try {
+        await onFailed(payload, error);
+        releasePayload(job);
+    } catch (err) {
+        console.error(`Error handling failed job ${job.id}:`, err);
+    }
+}
+
+/**
+ * Run one job and record the outcome
+ * @param {Object} job - Queued job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+    job.status = 'processing';
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    await persist().catch(() => {}); // status only (logged); the next save writes it too
+    const payload = job.payload || (job.payloadStored ? loadPayload(PAYLOAD_KIND, job.id) : null);
+    try {
+        if (!payload) {
+            throw new Error('Job payload is missing');
+        }
+        const outcome = await handlers[job.type](payload);
+        job.action = outcome?.action ?? null;
+        job.reason = outcome?.reason ?? null;
+        job.status = 'done';
+        job.error = null;
+        job.finishedAt = new Date().toISOString();
+        releasePayload(job); // the email isn't needed once it's processed
+        console.log(`Job ${job.id} done (attempt ${job.attempts})`);
+    } catch (err) {
+        job.error = err.message;
+        if (job.attempts >= MAX_ATTEMPTS || !payload) {
+            job.status = 'failed';
+            job.finishedAt = new Date().toISOString();
+            console.error(`Job ${job.id} failed after ${job.attempts} attempts:`, err);
+            await handleFailedJob(job, payload, err);
+        } else {
+            job.status = 'queued';
+            job.nextAttemptAt = new Date(Date.now() + RETRY_DELAY_MS * job.attempts).toISOString();
+            console.warn(`Job ${job.id} failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt}:`, err.message);
+        }
+    }
+    await persist().catch(() => {});
+}
+
+/**
+ * Start due jobs until every worker is busy
+ */
+function pump() {
+    const now = Date.now();
+    while (active < CONCURRENCY) {
+        const job = jobs.find(j => j.status === 'queued' && Date.parse(j.nextAttemptAt) <= now);
+        if (!job) return;
+        active += 1;
+        job.status = 'processing'; // claimed before the async part so the loop doesn't pick it twice
+        runJob(job)
+            .catch(err => console.error('Job worker error:', err))
+            .finally(() => {
+                active -= 1;
+                pump();
+            });
+    }
+}
+
+/**
+ * Start the worker pool: process what's queued (including jobs left over from a restart)
+ * and keep checking for retries that come due
+ * @param {number} [intervalMs] - How often to look for due retries
+ */
+function startJobWorkers(intervalMs = 5000) {
+    if (workerTimer) return;
+    console.log(`Job queue: ${CONCURRENCY} worker(s), ${jobs.filter(j => j.status === 'queued').length} job(s) queued`);
+    pump();
+    workerTimer = setInterval(pump, intervalMs);
+    workerTimer.unref(); // don't keep the process alive just for retries
+}
+
+/**
+ * List jobs, newest first
+ * @param {string} [status] - 'queued', 'processing', 'done' or 'failed'; all if omitted
+ * @returns {Array} - Jobs as described by the status API
+ */
+function listJobs(status) {
+    return jobs
+        .filter(job => !status || job.status === status)
+        .slice()
+        .reverse()
+        .map(describeJob);
+}
+
+module.exports = {
+    registerJobType,
+    enqueueJob,
+    getJob,
+    describeJob,
+    listJobs,
+    startJobWorkers
+};
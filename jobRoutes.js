@@ -0,0 +1,30 @@
+const express = require('express');
+const { requireAdmin } = require('./adminAuth');
+const { getJob, describeJob, listJobs } = require('./jobQueue');
+
+// Status of queued inbound emails, mounted under /api/jobs
+const router = express.Router();
+router.use(requireAdmin);
+
+const JOB_STATUSES = ['queued', 'processing', 'done', 'failed'];
+
+// List jobs, newest first; ?status=queued|processing|done|failed
+router.get('/', (req, res) => {
+    const status = req.query.status;
+    if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const jobs = listJobs(status);
+    res.json({ success: true, count: jobs.length, jobs });
+});
+
+// One job by MessageID (or job key for messages without one): status plus the action and reason once it's done
+router.get('/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job: describeJob(job) });
+});
+
+module.exports = router;
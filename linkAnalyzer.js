@@ -0,0 +1,374 @@
+const { domainToUnicode } = require('url');
+const { htmlToText } = require('./moderationInput');
+const { normalizeDomain } = require('./addressParser');
+const { matchDomain } = require('./domainMatcher');
+
+/**
+ * Link extraction and phishing URL analysis.
+ * Finds every URL in the body (anchors, bare text, redirect wrappers), follows known wrappers to the
+ * real destination, and checks each destination host against the domain blacklist, IP literals,
+ * URL shorteners, anchor text that shows a different domain, and lookalike/homoglyph domains.
+ */
+
+const LINK_ACTIONS = ['block', 'quarantine', 'ignore'];
+const ACTION_SEVERITY = { allow: 0, ignore: 0, quarantine: 1, block: 2 };
+const ISSUE_REASONS = {
+    blacklisted: 'LINK_BLACKLISTED_DOMAIN',
+    textMismatch: 'LINK_TEXT_MISMATCH',
+    ipLiteral: 'LINK_IP_LITERAL',
+    shortener: 'LINK_SHORTENER',
+    lookalike: 'LINK_LOOKALIKE_DOMAIN'
+};
+
+// Two-label public suffixes common enough to matter when working out the registrable domain
+const SECOND_LEVEL_SUFFIXES = ['co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+    'co.jp', 'co.in', 'co.za', 'com.br', 'com.cn', 'com.mx', 'com.tr', 'co.kr'];
+
+// Top-level domains we accept in anchor text written without a scheme, so "invoice.pdf", "Node.js" or
+// "README.md" aren't read as domains. Text starting with http(s):// is a URL whatever its TLD.
+const TEXT_TLDS = new Set(['com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'io', 'co', 'ai', 'app',
+    'dev', 'me', 'tv', 'us', 'uk', 'ca', 'au', 'nz', 'ie', 'de', 'fr', 'es', 'it', 'nl', 'be', 'ch', 'at', 'se', 'no',
+    'dk', 'fi', 'pl', 'pt', 'cz', 'ru', 'ua', 'jp', 'cn', 'kr', 'in', 'br', 'mx', 'ar', 'za', 'tr', 'eu', 'asia',
+    'online', 'site', 'shop', 'store', 'xyz', 'top', 'club', 'live', 'cloud', 'tech']);
+
+// Characters that render like Latin letters, mapped to what they imitate
+const CONFUSABLES = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ԁ': 'd', 'ѕ': 's',
+    'ο': 'o', 'α': 'a', 'ν': 'v', 'ρ': 'p', 'ι': 'i', 'κ': 'k', 'ɡ': 'g', 'ı': 'i',
+    '0': 'o', '1': 'l', '3': 'e', '5': 's'
+};
+
+const MAX_HTML_CHARS = 500000; // longer bodies are cut before link extraction
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"'`)\]]+/gi;
+
+/**
+ * Decode the few HTML entities that show up inside href attributes
+ * @param {string} value - Attribute value
+ * @returns {string} - Decoded value
+ */
+function decodeAttribute(value) {
+    return value.replace(/&amp;/gi, '&').replace(/&quot;/gi, '"').replace(/&#39;/g, "'").trim();
+}
+
+/**
+ * Parse a URL, adding a scheme to "www." links
+ * @param {string} value - URL text
+ * @returns {URL|null} - Parsed URL, or null if it isn't an http(s) URL
+ */
+function parseUrl(value) {
+    try {
+        const url = new URL(/^www\./i.test(value) ? `http://${value}` : value);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Follow redirect wrappers (Google, Outlook Safe Links, Proofpoint, Facebook, and any query
+ * parameter that holds a full URL) to the destination
+ * @param {URL} url - Link as written
+ * @returns {Array} - Chain of URL strings, the last one is the destination
+ */
+function unwrapRedirects(url) {
+    const chain = [url.href];
+    let current = url;
+
+    for (let hop = 0; hop < 3; hop++) {
+        let next = null;
+        // Proofpoint v3: https://urldefense.com/v3/__https://real.example/__;!!token
+        const proofpointV3 = current.href.match(/urldefense\.com\/v3\/__(.+?)__;/);
+        if (proofpointV3) {
+            next = proofpointV3[1];
+        } else if (/urldefense\.proofpoint\.com$/.test(current.hostname) && current.searchParams.get('u')) {
+            // Proofpoint v2 encodes % as - and / as _
+            next = decodeURIComponent(current.searchParams.get('u').replace(/-/g, '%').replace(/_/g, '/'));
+        } else {
+            for (const [, value] of current.searchParams) {
+                if (/^https?:\/\//i.test(value)) { // google.com/url?q=, safelinks ?url=, l.facebook.com ?u=, ...
+                    next = value;
+                    break;
+                }
+            }
+        }
+        const parsed = next ? parseUrl(next) : null;
+        if (!parsed) break;
+        chain.push(parsed.href);
+        current = parsed;
+    }
+    return chain;
+}
+
+/**
+ * Find the anchors in an HTML body with a plain indexOf scan (a single regex over the whole body
+ * backtracks badly on unclosed tags).
+ * An anchor's text ends at its '</a>' or at the next '<a', as browsers close an open anchor there.
+ * @param {string} html - HTML content
+ * @returns {Object} - { anchors: [{ href, inner }], outside: HTML outside the anchors }
+ */
+function scanAnchors(html) {
+    const lower = html.replace(/[A-Z]+/g, upper => upper.toLowerCase()); // ASCII only, so indexes match html
+    const openRegex = /<a[\s>]/g; // not <abbr>, <address>, ...
+    const findOpen = from => {
+        openRegex.lastIndex = from;
+        const match = openRegex.exec(lower);
+        return match ? match.index : -1;
+    };
+    const anchors = [];
+    const outside = [];
+    let pos = 0;
+    // Next '</a>' and next '<a' after the current tag, looked up again only once we're past them
+    let close = -2;
+    let open = -2;
+
+    while (pos < html.length) {
+        const start = open >= pos ? open : findOpen(pos);
+        if (start === -1) break;
+        const tagEnd = lower.indexOf('>', start);
+        if (tagEnd === -1) break;
+        if (close !== -1 && close < tagEnd) close = lower.indexOf('</a>', tagEnd);
+        if (open !== -1 && open <= tagEnd) open = findOpen(tagEnd);
+
+        // An anchor closed by neither has no text; scanning carries on after its opening tag
+        let innerEnd = tagEnd + 1;
+        let next = tagEnd + 1;
+        if (close !== -1 && (open === -1 || close < open)) {
+            innerEnd = close;
+            next = close + 4;
+        } else if (open !== -1) {
+            innerEnd = open;
+            next = open;
+        }
+        const href = html.slice(start, tagEnd).match(/\bhref\s*=\s*(["'])([^"'>]*)\1/i);
+        if (href) {
+            anchors.push({ href: href[2], inner: html.slice(tagEnd + 1, innerEnd) });
+        }
+        outside.push(html.slice(pos, start), ' ');
+        pos = next;
+    }
+    outside.push(html.slice(pos));
+    return { anchors, outside: outside.join('') };
+}
+
+/**
+ * Extract every link from an email
+ * @param {Object} emailData - Email in the internal shape
+ * @param {number} maxLinks - Stop after this many
+ * @returns {Array} - [{ url, text, source: 'anchor' | 'text' }]
+ */
+function extractLinks(emailData, maxLinks) {
+    const links = [];
+    const seen = new Set();
+    const add = (url, text, source) => {
+        const key = `${url}\u0000${text}`;
+        if (links.length < maxLinks && !seen.has(key)) {
+            seen.add(key);
+            links.push({ url, text, source });
+        }
+    };
+
+    // Only the start of a huge HTML body is analyzed
+    const html = (emailData.HtmlBody || '').slice(0, MAX_HTML_CHARS);
+    const { anchors, outside } = scanAnchors(html);
+    anchors.forEach(anchor => add(decodeAttribute(anchor.href), htmlToText(anchor.inner), 'anchor'));
+
+    // Bare URLs in the plain text and in the visible HTML text outside anchors (anchor text was checked above)
+    const anchorUrls = new Set(links.map(link => link.url));
+    [(emailData.TextBody || '').slice(0, MAX_HTML_CHARS), htmlToText(outside)].forEach(text => {
+        (text.match(URL_REGEX) || []).forEach(url => {
+            const cleaned = url.replace(/[.,;:!?]+$/, '');
+            if (!anchorUrls.has(cleaned)) add(cleaned, '', 'text');
+        });
+    });
+    return links;
+}
+
+/**
+ * Registrable domain, approximated without the full public suffix list
+ * @param {string} host - Hostname
+ * @returns {string} - e.g. 'example.co.uk' for 'mail.example.co.uk'
+ */
+function baseDomain(host) {
+    const labels = host.split('.');
+    const keep = SECOND_LEVEL_SUFFIXES.includes(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+/**
+ * Whether a host is a literal IP address (dotted, bracketed IPv6, or a bare integer like http://3232235777)
+ * @param {string} host - URL hostname
+ * @returns {boolean} - True for IP literals
+ */
+function isIpLiteral(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[') || /^(0x[0-9a-f]+|\d+)$/i.test(host);
+}
+
+/**
+ * Map a domain to the letters it looks like
+ * @param {string} domain - Unicode domain
+ * @returns {string} - Skeleton for comparison
+ */
+function skeleton(domain) {
+    return [...domain.toLowerCase()]
+        .map(ch => CONFUSABLES[ch] || ch)
+        .join('')
+        .replace(/rn/g, 'm')
+        .replace(/vv/g, 'w');
+}
+
+/**
+ * Edit distance capped at 2 (we only care whether it's 0, 1 or more)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Levenshtein distance, or 2 if it's at least 2
+ */
+function editDistance(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return 2;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return Math.min(prev[b.length], 2);
+}
+
+/**
+ * Check whether a host imitates one of the protected domains
+ * @param {string} host - ASCII (punycode) hostname
+ * @param {Array} protectedDomains - Domains people might try to impersonate
+ * @param {Array} [knownDomains] - Real domains that are never lookalikes themselves (e.g. mail.com next to gmail.com)
+ * @returns {string|null} - The imitated domain, or null
+ */
+function findLookalike(host, protectedDomains, knownDomains = []) {
+    const unicodeHost = domainToUnicode(host) || host;
+    const hostBase = baseDomain(unicodeHost);
+    if (knownDomains.some(known => baseDomain(known) === hostBase)) return null;
+
+    // A label mixing Latin with another script (e.g. Cyrillic 'а' in "pаypal") is a lookalike by itself
+    const mixedScript = unicodeHost.split('.').some(label => /[a-z]/i.test(label) && /[^\x00-\x7f]/.test(label) && /[Ͱ-ϿЀ-ӿ]/.test(label));
+
+    for (const protectedDomain of protectedDomains) {
+        const target = baseDomain(protectedDomain);
+        if (hostBase === target) return null; // it *is* the real domain (or a subdomain of it)
+        const sameSkeleton = skeleton(hostBase) === skeleton(target);
+        const oneTypoAway = target.length >= 6 && editDistance(hostBase, target) === 1;
+        if (sameSkeleton || oneTypoAway) return protectedDomain;
+    }
+    return mixedScript ? unicodeHost : null;
+}
+
+/**
+ * Domain shown in an anchor's visible text, if the text looks like a URL or bare domain
+ * @param {string} text - Visible anchor text
+ * @returns {string|null} - Normalized host, or null if the text isn't a URL/domain
+ */
+function domainInText(text) {
+    const trimmed = text.trim();
+    const candidate = trimmed.match(/^(https?:\/\/)?((?:[\p{L}\p{N}-]+\.)+[\p{L}]{2,})(?:[/:?#]\S*)?$/u);
+    if (!candidate) return null;
+    const host = normalizeDomain(candidate[2]);
+    const tld = host.slice(host.lastIndexOf('.') + 1);
+    return candidate[1] || TEXT_TLDS.has(tld) ? host : null;
+}
+
+/**
+ * Analyze the links of an email
+ * @param {Object} emailData - Email in the internal shape
+ * @param {Object} config - filterConfig.links
+ * @param {Object} domainsConfig - filterConfig.domains (blacklist is checked, whitelist is treated as protected)
+ * @returns {Object} - { action, reason, links: [{ url, finalUrl, host, text, source, issues }], summary }
+ */
+function analyzeLinks(emailData, config, domainsConfig = {}) {
+    const empty = { action: 'allow', reason: null, links: [], summary: { total: 0, flagged: 0 } };
+    if (!config?.enabled) return empty;
+
+    const protectedDomains = [
+        ...(config.protectedDomains || []),
+        ...(domainsConfig.whitelist || []).filter(entry => !entry.includes('*'))
+    ].map(normalizeDomain);
+    const knownDomains = (config.knownDomains || []).map(normalizeDomain);
+
+    const links = extractLinks(emailData, config.maxLinks || 200).map(link => {
+        const parsed = parseUrl(link.url);
+        if (!parsed) {
+            return { ...link, finalUrl: null, host: null, issues: [] };
+        }
+        const chain = unwrapRedirects(parsed);
+        const finalUrl = chain[chain.length - 1];
+        const host = normalizeDomain(new URL(finalUrl).hostname);
+        const issues = [];
+
+        const blacklisted = matchDomain(domainsConfig.blacklist, host);
+        if (blacklisted) issues.push({ type: 'blacklisted', detail: blacklisted });
+        if (isIpLiteral(host)) issues.push({ type: 'ipLiteral', detail: host });
+        const shortener = matchDomain(config.shorteners, host);
+        if (shortener) issues.push({ type: 'shortener', detail: shortener });
+        const lookalike = isIpLiteral(host) ? null : findLookalike(host, protectedDomains, knownDomains);
+        if (lookalike) issues.push({ type: 'lookalike', detail: lookalike });
+
+        const shownDomain = link.source === 'anchor' ? domainInText(link.text) : null;
+        if (shownDomain && baseDomain(shownDomain) !== baseDomain(host)) {
+            issues.push({ type: 'textMismatch', detail: `shows ${shownDomain}, goes to ${host}` });
+        }
+
+        return {
+            url: link.url,
+            finalUrl,
+            redirects: chain.length - 1,
+            host,
+            text: link.text.slice(0, 200),
+            source: link.source,
+            issues: issues.map(issue => ({ ...issue, action: config.actions?.[issue.type] || 'ignore' }))
+        };
+    });
+
+    const worst = links
+        .flatMap(link => link.issues)
+        .reduce((acc, issue) => (ACTION_SEVERITY[issue.action] > ACTION_SEVERITY[acc.action] ? issue : acc), { action: 'allow' });
+
+    return {
+        action: worst.action,
+        reason: worst.type ? ISSUE_REASONS[worst.type] : null,
+        links,
+        summary: {
+            total: links.length,
+            flagged: links.filter(link => link.issues.some(issue => issue.action !== 'ignore')).length
+        }
+    };
+}
+
+/**
+ * Validate the links rule group (used by the admin API)
+ * @param {Object} group - filterConfig.links
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateLinksConfig(group) {
+    const errors = [];
+    if (typeof group.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (!Number.isInteger(group.maxLinks) || group.maxLinks < 1) {
+        errors.push('maxLinks must be a positive integer');
+    }
+    Object.keys(ISSUE_REASONS).forEach(type => {
+        if (!LINK_ACTIONS.includes(group.actions?.[type])) {
+            errors.push(`actions.${type} must be one of: ${LINK_ACTIONS.join(', ')}`);
+        }
+    });
+    ['shorteners', 'protectedDomains', 'knownDomains'].forEach(key => {
+        if (key === 'knownDomains' && group[key] === undefined) return; // optional
+        if (!Array.isArray(group[key]) || group[key].some(entry => typeof entry !== 'string' || !entry.trim())) {
+            errors.push(`${key} must be an array of domains`);
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    extractLinks,
+    analyzeLinks,
+    validateLinksConfig
+};
@@ -0,0 +1,263 @@
+/**
+ * Minimal RFC 822 / MIME parser: headers (folded, RFC 2047 encoded-words), nested multipart,
+ * base64 and quoted-printable bodies, charsets. Also used for multipart/form-data webhook bodies.
+ * Everything is handled as a latin1 string internally so byte values survive until we decode them.
+ */
+
+/**
+ * Decode bytes using a MIME charset name, falling back to UTF-8 for unknown charsets
+ * @param {Buffer} buffer - Raw bytes
+ * @param {string} [charset] - e.g. 'utf-8', 'iso-8859-1', 'windows-1252'
+ * @returns {string} - Decoded text
+ */
+function decodeCharset(buffer, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (err) {
+        return buffer.toString('utf8');
+    }
+}
+
+/**
+ * Decode quoted-printable text into bytes
+ * @param {string} text - Quoted-printable body (latin1 string)
+ * @returns {Buffer} - Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+    const decoded = text
+        .replace(/=\r?\n/g, '') // soft line breaks
+        .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(decoded, 'latin1');
+}
+
+/**
+ * Decode RFC 2047 encoded-words in a header value, e.g. "=?UTF-8?B?SGVsbG8=?="
+ * @param {string} value - Header value
+ * @returns {string} - Decoded value
+ */
+function decodeEncodedWords(value) {
+    return value
+        .replace(/(\?=)\s+(=\?)/g, '$1$2') // whitespace between adjacent encoded-words is not significant
+        .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset.split('*')[0]); // drop RFC 2231 language suffix
+        });
+}
+
+/**
+ * Split a message or part into its header block and body
+ * @param {string} raw - Message text (latin1 string)
+ * @returns {Object} - { headerText, bodyText }
+ */
+function splitHeaderBody(raw) {
+    if (/^\r?\n/.test(raw)) {
+        return { headerText: '', bodyText: raw.replace(/^\r?\n/, '') }; // part without headers
+    }
+    const match = raw.match(/\r?\n\r?\n/);
+    if (!match) {
+        return { headerText: raw, bodyText: '' };
+    }
+    return { headerText: raw.slice(0, match.index), bodyText: raw.slice(match.index + match[0].length) };
+}
+
+/**
+ * Parse a header block into Postmark-style { Name, Value } pairs
+ * @param {string} headerText - Raw header block (latin1 string)
+ * @returns {Array} - Headers in their original order
+ */
+function parseHeaders(headerText) {
+    return headerText
+        .replace(/\r?\n[ \t]+/g, ' ') // unfold continuation lines
+        .split(/\r?\n/)
+        .map(line => {
+            const colon = line.indexOf(':');
+            if (colon <= 0) return null;
+            // Raw 8-bit header bytes are almost always UTF-8 in practice
+            const value = decodeCharset(Buffer.from(line.slice(colon + 1).trim(), 'latin1'), 'utf-8');
+            return { Name: line.slice(0, colon).trim(), Value: decodeEncodedWords(value) };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Parse a structured header value with parameters, e.g. 'text/plain; charset="utf-8"'.
+ * Handles quoted values and RFC 2231 extended/continued parameters (filename*=utf-8''..., name*0=...).
+ * @param {string} value - Header value
+ * @returns {Object} - { value, params }
+ */
+function parseHeaderValue(value = '') {
+    const semicolon = value.indexOf(';');
+    const main = (semicolon === -1 ? value : value.slice(0, semicolon)).trim();
+    const params = {};
+    const continuations = {};
+    const paramRegex = /;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+    let match;
+
+    while ((match = paramRegex.exec(value)) !== null) {
+        let key = match[1].toLowerCase();
+        let paramValue = match[2].trim();
+        if (paramValue.startsWith('"')) {
+            paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+        }
+
+        const extended = key.endsWith('*');
+        if (extended) {
+            key = key.slice(0, -1);
+        }
+        const continuation = key.match(/^(.+)\*(\d+)$/);
+        if (continuation) {
+            const name = continuation[1];
+            continuations[name] = continuations[name] || [];
+            continuations[name][Number(continuation[2])] = { value: paramValue, extended };
+            continue;
+        }
+        params[key] = extended ? decodeExtendedValue(paramValue) : paramValue;
+    }
+
+    Object.entries(continuations).forEach(([name, pieces]) => {
+        const joined = pieces.filter(Boolean).map(p => p.value).join('');
+        params[name] = pieces[0]?.extended ? decodeExtendedValue(joined) : joined;
+    });
+    return { value: main, params };
+}
+
+/**
+ * Decode an RFC 2231 extended value: charset'language'percent-encoded-text
+ * @param {string} value - Extended parameter value
+ * @returns {string} - Decoded text
+ */
+function decodeExtendedValue(value) {
+    const match = value.match(/^([^']*)'[^']*'(.*)$/);
+    const charset = match ? match[1] : 'utf-8';
+    const encoded = match ? match[2] : value;
+    const bytes = Buffer.from(encoded.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    return decodeCharset(bytes, charset);
+}
+
+/**
+ * Split a multipart body into its raw parts
+ * @param {string} bodyText - Multipart body (latin1 string)
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Array} - Raw part strings (preamble and epilogue dropped)
+ */
+function splitMultipart(bodyText, boundary) {
+    const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g');
+    const parts = [];
+    let start = null;
+    let match;
+
+    while ((match = delimiter.exec(bodyText)) !== null) {
+        if (start !== null) {
+            parts.push(bodyText.slice(start, match.index));
+        }
+        if (match[1]) { // closing delimiter
+            start = null;
+            break;
+        }
+        start = delimiter.lastIndex;
+    }
+    if (start !== null) {
+        parts.push(bodyText.slice(start)); // tolerate a missing closing delimiter
+    }
+    return parts;
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} bodyText - Encoded body (latin1 string)
+ * @param {string} encoding - Transfer encoding, lowercased
+ * @returns {Buffer} - Decoded bytes
+ */
+function decodeTransferEncoding(bodyText, encoding) {
+    if (encoding === 'base64') {
+        return Buffer.from(bodyText.replace(/\s+/g, ''), 'base64');
+    }
+    if (encoding === 'quoted-printable') {
+        return decodeQuotedPrintable(bodyText);
+    }
+    return Buffer.from(bodyText, 'latin1'); // 7bit, 8bit, binary
+}
+
+/**
+ * Parse one MIME entity (a whole message or a part) and its children
+ * @param {string} raw - Entity text (latin1 string)
+ * @returns {Object} - { headers, contentType, params, disposition, dispositionParams, contentId, body, parts }
+ */
+function parsePart(raw) {
+    const { headerText, bodyText } = splitHeaderBody(raw);
+    const headers = parseHeaders(headerText);
+    const getHeader = (name) => headers.find(h => h.Name.toLowerCase() === name)?.Value;
+
+    const contentType = parseHeaderValue(getHeader('content-type') || 'text/plain; charset=us-ascii');
+    const disposition = parseHeaderValue(getHeader('content-disposition') || '');
+    const encoding = (getHeader('content-transfer-encoding') || '7bit').trim().toLowerCase();
+
+    const part = {
+        headers,
+        contentType: contentType.value.toLowerCase(),
+        params: contentType.params,
+        disposition: disposition.value.toLowerCase(),
+        dispositionParams: disposition.params,
+        contentId: (getHeader('content-id') || '').trim().replace(/^<|>$/g, '') || null,
+        body: null,
+        parts: []
+    };
+
+    if (part.contentType.startsWith('multipart/') && part.params.boundary) {
+        part.parts = splitMultipart(bodyText, part.params.boundary).map(parsePart);
+    } else {
+        part.body = decodeTransferEncoding(bodyText, encoding);
+    }
+    return part;
+}
+
+/**
+ * Parse a raw RFC 822 message
+ * @param {Buffer|string} raw - The message as received
+ * @returns {Object} - Root entity from parsePart
+ */
+function parseMime(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+    return parsePart(text);
+}
+
+/**
+ * Parse a multipart/form-data request body (SendGrid Inbound Parse, Mailgun routes)
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentTypeHeader - Request Content-Type, carries the boundary
+ * @returns {Object} - { fields: { name: string }, files: { name: { filename, contentType, content: Buffer } } }
+ */
+function parseFormData(body, contentTypeHeader) {
+    const { params } = parseHeaderValue(contentTypeHeader);
+    const fields = {};
+    const files = {};
+    if (!params.boundary) {
+        return { fields, files };
+    }
+
+    splitMultipart(body.toString('latin1'), params.boundary).map(parsePart).forEach(part => {
+        const name = part.dispositionParams.name;
+        if (!name) return;
+        if (part.dispositionParams.filename !== undefined) {
+            files[name] = {
+                filename: part.dispositionParams.filename,
+                contentType: part.contentType,
+                content: part.body || Buffer.alloc(0)
+            };
+        } else {
+            fields[name] = decodeCharset(part.body || Buffer.alloc(0), part.params.charset);
+        }
+    });
+    return { fields, files };
+}
+
+module.exports = {
+    parseMime,
+    parseHeaders,
+    parseHeaderValue,
+    parseFormData,
+    decodeCharset
+};
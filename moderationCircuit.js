@@ -0,0 +1,141 @@
+/**
+ * Circuit breaker for the moderation provider.
+ * After failureThreshold failed calls in a row the circuit opens and we stop calling the provider
+ * (every input counts as unavailable right away) until cooldownSeconds have passed. Then a single
+ * probe call is let through: success closes the circuit, failure opens it for another cooldown.
+ * State is per provider name and in memory only.
+ */
+
+const FAILURE_POLICIES = ['fail-open', 'fail-closed', 'hold'];
+
+// Used for anything filterConfig.moderation.availability doesn't set
+const DEFAULT_AVAILABILITY = {
+    failurePolicy: 'hold',
+    failureThreshold: 5,
+    cooldownSeconds: 60
+};
+
+// provider name -> { state: 'closed'|'open'|'half-open', failures, openedAt, lastError, lastFailureAt }
+const circuits = {};
+
+/**
+ * Get (or create) the circuit for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} - Circuit state
+ */
+function getCircuit(name) {
+    if (!circuits[name]) {
+        circuits[name] = { state: 'closed', failures: 0, openedAt: null, lastError: null, lastFailureAt: null };
+    }
+    return circuits[name];
+}
+
+/**
+ * Whether a call to the provider should be made now
+ * @param {string} name - Provider name
+ * @param {Object} config - filterConfig.moderation.availability
+ * @returns {boolean} - False while the circuit is open (or a half-open probe is already running)
+ */
+function allowRequest(name, config) {
+    const { cooldownSeconds } = { ...DEFAULT_AVAILABILITY, ...config };
+    const circuit = getCircuit(name);
+    if (circuit.state === 'closed') {
+        return true;
+    }
+    if (circuit.state === 'open' && Date.now() - Date.parse(circuit.openedAt) >= cooldownSeconds * 1000) {
+        circuit.state = 'half-open'; // let one probe through
+        console.log(`Moderation circuit for ${name} half-open, probing the provider`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Record the outcome of a provider call
+ * @param {string} name - Provider name
+ * @param {boolean} ok - True if the call returned a usable result
+ * @param {Object} config - filterConfig.moderation.availability
+ * @param {string} [error] - What went wrong, kept for the status endpoint
+ */
+function recordResult(name, ok, config, error) {
+    const { failureThreshold, cooldownSeconds } = { ...DEFAULT_AVAILABILITY, ...config };
+    const circuit = getCircuit(name);
+    if (ok) {
+        if (circuit.state !== 'closed') {
+            console.log(`Moderation circuit for ${name} closed, provider recovered`);
+        }
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.openedAt = null;
+        return;
+    }
+
+    circuit.failures += 1;
+    circuit.lastError = error || 'No result from provider';
+    circuit.lastFailureAt = new Date().toISOString();
+    if (circuit.state === 'half-open' || (circuit.state === 'closed' && circuit.failures >= failureThreshold)) {
+        circuit.state = 'open';
+        circuit.openedAt = new Date().toISOString();
+        console.error(`Moderation circuit for ${name} open after ${circuit.failures} failures, pausing calls for ${cooldownSeconds}s:`, circuit.lastError);
+    }
+}
+
+/**
+ * Whether the provider is considered available (circuit not open)
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if closed
+ */
+function isAvailable(name) {
+    return getCircuit(name).state === 'closed';
+}
+
+/**
+ * Circuit states for the admin API
+ * @returns {Object} - provider name -> state
+ */
+function getCircuitStatus() {
+    const status = {};
+    Object.keys(circuits).forEach(name => {
+        status[name] = { ...circuits[name] };
+    });
+    return status;
+}
+
+/**
+ * Close a circuit by hand, e.g. once the provider's status page says it is back
+ * @param {string} name - Provider name
+ */
+function resetCircuit(name) {
+    circuits[name] = { state: 'closed', failures: 0, openedAt: null, lastError: null, lastFailureAt: null };
+}
+
+/**
+ * Validate the availability settings of the moderation rule group (used by the admin API)
+ * @param {Object} group - filterConfig.moderation
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateAvailabilityConfig(group) {
+    if (group.availability === undefined) return [];
+    const errors = [];
+    const availability = group.availability || {};
+    if (!FAILURE_POLICIES.includes(availability.failurePolicy)) {
+        errors.push(`availability.failurePolicy must be one of: ${FAILURE_POLICIES.join(', ')}`);
+    }
+    if (!Number.isInteger(availability.failureThreshold) || availability.failureThreshold < 1) {
+        errors.push('availability.failureThreshold must be a positive integer');
+    }
+    if (!Number.isInteger(availability.cooldownSeconds) || availability.cooldownSeconds < 1) {
+        errors.push('availability.cooldownSeconds must be a positive integer');
+    }
+    return errors;
+}
+
+module.exports = {
+    DEFAULT_AVAILABILITY,
+    allowRequest,
+    recordResult,
+    isAvailable,
+    getCircuitStatus,
+    resetCircuit,
+    validateAvailabilityConfig
+};
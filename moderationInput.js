@@ -0,0 +1,206 @@
+/**
+ * Builds the text we send for moderation: the subject, plus the body (HTML converted to text when
+ * there is no plain-text part) split into chunks that fit the moderation input limits.
+ */
+
+const DEFAULT_CHUNKING = {
+    maxChars: 4000,  // per request; smaller chunks also stop one bad paragraph being diluted by a long newsletter
+    overlap: 200,    // repeated at the start of the next chunk so a sentence on a boundary is seen whole once
+    maxChunks: 20    // upper bound on API calls per body
+};
+
+const NAMED_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+/**
+ * Decode one HTML entity
+ * @param {string} match - The whole entity, e.g. '&#x41;'
+ * @param {string} entity - Between '&' and ';'
+ * @returns {string} - The character, or the entity as written when it isn't a valid one
+ */
+function decodeEntity(match, entity) {
+    const lower = entity.toLowerCase();
+    if (NAMED_ENTITIES[lower] !== undefined) return NAMED_ENTITIES[lower];
+    if (!lower.startsWith('#')) return match;
+    const codePoint = lower.startsWith('#x') ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+    // Beyond Unicode or a lone surrogate: String.fromCodePoint would throw or produce garbage
+    if (codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) return match;
+    return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Drop comments and script/style/head elements, scanning once (a lazy regex per element is
+ * quadratic when they aren't closed). An unclosed one only loses its opening tag, so its text is
+ * still moderated.
+ * @param {string} html - HTML content
+ * @returns {string} - HTML without the hidden parts
+ */
+function removeHiddenBlocks(html) {
+    const opener = /<!--|<(script|style|head)\b[^<>]*>/gi;
+    const closers = {}; // name -> { regex, index, end } of the next closing tag; index -1 when there is none
+    const kept = [];
+    let pos = 0;
+    let match;
+
+    while ((match = opener.exec(html)) !== null) {
+        const name = match[1] ? match[1].toLowerCase() : '!--';
+        if (!closers[name]) {
+            const regex = name === '!--' ? /-->/g : new RegExp(`</${name}\\b[^<>]*>`, 'gi');
+            closers[name] = { regex, index: -2, end: 0 };
+        }
+        const closer = closers[name];
+        if (closer.index !== -1 && closer.index < opener.lastIndex) {
+            closer.regex.lastIndex = opener.lastIndex;
+            const close = closer.regex.exec(html);
+            closer.index = close ? close.index : -1;
+            closer.end = close ? closer.regex.lastIndex : 0;
+        }
+        kept.push(html.slice(pos, match.index));
+        pos = closer.index === -1 ? opener.lastIndex : closer.end;
+        opener.lastIndex = pos;
+    }
+    kept.push(html.slice(pos));
+    return kept.join('');
+}
+
+/**
+ * Convert an HTML body to readable text
+ * @param {string} html - HTML content
+ * @returns {string} - Text with block elements turned into line breaks
+ */
+function htmlToText(html = '') {
+    return removeHiddenBlocks(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|table)>/gi, '\n')
+        .replace(/<[^<>]+>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+|#39);/gi, decodeEntity)
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/ ?\n\s*/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Split text into chunks of at most maxChars, preferring paragraph, then sentence, then word boundaries
+ * @param {string} text - Text to split
+ * @param {Object} [options] - { maxChars, overlap, maxChunks }
+ * @returns {Object} - { chunks, truncatedAt }: never more than maxChunks chunks; truncatedAt is where the
+ *   dropped tail starts, or null when all of the text is in the chunks
+ */
+function chunkText(text, options = {}) {
+    const { maxChars, overlap, maxChunks } = { ...DEFAULT_CHUNKING, ...options };
+    const chunks = [];
+    let truncatedAt = null;
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(start + maxChars, text.length);
+        if (end < text.length) {
+            const window = text.slice(start, end);
+            // Look for a natural break in the second half of the window
+            const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+            const spaceAt = window.lastIndexOf(' ');
+            if (breakAt > maxChars / 2) end = start + breakAt + 1;
+            else if (spaceAt > maxChars / 2) end = start + spaceAt + 1;
+        }
+        chunks.push(text.slice(start, end).trim());
+        if (end >= text.length) break;
+        if (chunks.length >= maxChunks) {
+            console.warn(`Text longer than ${maxChunks} chunks, moderating the first ${end} of ${text.length} characters`);
+            truncatedAt = end;
+            break;
+        }
+        start = Math.max(end - overlap, start + 1);
+    }
+    return { chunks: chunks.filter(Boolean), truncatedAt };
+}
+
+/**
+ * Build the text inputs to moderate for an email
+ * @param {Object} emailData - Email in the internal shape
+ * @param {Object} [chunking] - filterConfig.moderation.chunking
+ * @param {Array} [attachmentTexts] - Text extracted from attachments: [{ filename, text }]
+ * @returns {Object} - { inputs: [{ source: 'subject' | 'body' | 'attachment', filename, chunk, text }],
+ *   truncated: [{ source, filename, moderatedChars, totalChars }] for texts longer than maxChunks chunks }
+ */
+function buildTextInputs(emailData, chunking, attachmentTexts = []) {
+    const inputs = [];
+    const truncated = [];
+    const addChunks = (text, source, filename) => {
+        const { chunks, truncatedAt } = chunkText(text, chunking);
+        chunks.forEach((chunk, i) => {
+            inputs.push({ source, filename, chunk: i, text: chunk });
+        });
+        if (truncatedAt !== null) {
+            truncated.push({ source, filename, moderatedChars: truncatedAt, totalChars: text.length });
+        }
+    };
+    const subject = String(emailData.Subject || '').trim();
+    if (subject) {
+        inputs.push({ source: 'subject', chunk: 0, text: subject });
+    }
+
+    // HTML-only messages used to be moderated as an empty string
+    const body = String(emailData.TextBody || '').trim() || htmlToText(emailData.HtmlBody || '');
+    addChunks(body, 'body');
+
+    // Attachment text goes through the same moderation as the body
+    attachmentTexts.forEach(({ filename, text }) => addChunks(text, 'attachment', filename));
+    return { inputs, truncated };
+}
+
+/**
+ * Combine moderation results for several inputs into one: the highest score per category wins
+ * and a category is flagged if any input flagged it, so one bad chunk is enough
+ * @param {Array} results - [{ input, moderation }] where moderation has flagged, categories, category_scores
+ * @returns {Object} - { flagged, categories, category_scores, inputs }
+ */
+function combineModerationResults(results) {
+    const combined = { flagged: false, categories: {}, category_scores: {}, inputs: [] };
+    results.forEach(({ input, moderation }) => {
+        combined.flagged = combined.flagged || Boolean(moderation.flagged);
+        Object.entries(moderation.categories || {}).forEach(([category, flagged]) => {
+            combined.categories[category] = Boolean(combined.categories[category] || flagged);
+        });
+        Object.entries(moderation.category_scores || {}).forEach(([category, score]) => {
+            combined.category_scores[category] = Math.max(combined.category_scores[category] ?? 0, score);
+        });
+        combined.inputs.push({
+            source: input.source,
+            filename: input.filename,
+            chunk: input.chunk,
+            length: input.text.length,
+            flagged: Boolean(moderation.flagged)
+        });
+    });
+    return combined;
+}
+
+/**
+ * Validate the optional chunking settings of the moderation rule group (used by the admin API)
+ * @param {Object} group - filterConfig.moderation
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateChunkingConfig(group) {
+    if (group.chunking === undefined) return [];
+    const errors = [];
+    const chunking = group.chunking || {};
+    if (!Number.isInteger(chunking.maxChars) || chunking.maxChars < 100) {
+        errors.push('chunking.maxChars must be an integer of at least 100');
+    }
+    if (!Number.isInteger(chunking.overlap) || chunking.overlap < 0 || chunking.overlap >= chunking.maxChars / 2) {
+        errors.push('chunking.overlap must be a non-negative integer below half of maxChars');
+    }
+    if (!Number.isInteger(chunking.maxChunks) || chunking.maxChunks < 1) {
+        errors.push('chunking.maxChunks must be a positive integer');
+    }
+    return errors;
+}
+
+module.exports = {
+    DEFAULT_CHUNKING,
+    htmlToText,
+    chunkText,
+    buildTextInputs,
+    combineModerationResults,
+    validateChunkingConfig
+};
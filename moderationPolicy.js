@@ -0,0 +1,98 @@
+// Turns raw moderation scores into an action using the per-category rules in filterConfig.moderation
+
+// Higher number wins when several rules fire
+const ACTION_SEVERITY = { allow: 0, ignore: 0, quarantine: 1, block: 2 };
+const RULE_ACTIONS = ['block', 'quarantine', 'ignore'];
+
+/**
+ * Check one moderation result (text or a single image) against its rules
+ * @param {Object} moderation - Result with categories and category_scores
+ * @param {Object} rules - { defaultAction, categories: { [category]: { threshold, action } } }
+ * @param {Object} source - Where the result came from, e.g. { source: 'image', filename }
+ * @returns {Array} - Violations: { source, filename, category, score, threshold, action }
+ */
+function findViolations(moderation, rules, source) {
+    const violations = [];
+    const scores = moderation.category_scores || {};
+    const flaggedCategories = moderation.categories || {};
+    const categoryRules = rules?.categories || {};
+
+    // Categories with an explicit rule use the score; OpenAI's flagged bit is ignored for them
+    Object.entries(categoryRules).forEach(([category, rule]) => {
+        const score = scores[category];
+        if (typeof score === 'number' && score > rule.threshold && rule.action !== 'ignore') {
+            violations.push({ ...source, category, score, threshold: rule.threshold, action: rule.action });
+        }
+    });
+
+    // Everything else falls back to the flagged bit and the default action
+    const defaultAction = rules?.defaultAction || 'block';
+    if (defaultAction !== 'ignore') {
+        Object.entries(flaggedCategories).forEach(([category, flagged]) => {
+            if (flagged && !categoryRules[category]) {
+                violations.push({ ...source, category, score: scores[category] ?? null, threshold: null, action: defaultAction });
+            }
+        });
+    }
+    return violations;
+}
+
+/**
+ * Apply the moderation rules to the text and image results of one email
+ * @param {Object} text - Text moderation result (categories, category_scores)
+ * @param {Array} images - Image results as built by checkContentModeration ({ type, filename, moderation })
+ * @param {Object} config - filterConfig.moderation
+ * @returns {Object} - { action: 'allow' | 'quarantine' | 'block', violations }
+ */
+function evaluateModerationPolicy(text, images, config) {
+    const violations = [
+        ...findViolations(text, config?.text, { source: 'text' }),
+        ...images.flatMap(img => findViolations(img.moderation, config?.images, {
+            source: img.type === 'attachment' ? 'attachment' : 'inline',
+            filename: img.filename || 'inline-image'
+        }))
+    ];
+
+    const action = violations.reduce(
+        (worst, v) => (ACTION_SEVERITY[v.action] > ACTION_SEVERITY[worst] ? v.action : worst),
+        'allow'
+    );
+    return { action, violations };
+}
+
+/**
+ * Validate the moderation rule group (used by the admin API)
+ * @param {Object} group - filterConfig.moderation
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateModerationConfig(group) {
+    const errors = [];
+    ['text', 'images'].forEach(kind => {
+        const rules = group[kind];
+        if (!rules || typeof rules !== 'object') {
+            errors.push(`${kind} must be an object`);
+            return;
+        }
+        if (!RULE_ACTIONS.includes(rules.defaultAction)) {
+            errors.push(`${kind}.defaultAction must be one of: ${RULE_ACTIONS.join(', ')}`);
+        }
+        if (!rules.categories || typeof rules.categories !== 'object' || Array.isArray(rules.categories)) {
+            errors.push(`${kind}.categories must be an object keyed by category`);
+            return;
+        }
+        Object.entries(rules.categories).forEach(([category, rule]) => {
+            if (typeof rule?.threshold !== 'number' || rule.threshold < 0 || rule.threshold > 1) {
+                errors.push(`${kind}.categories['${category}'].threshold must be a number between 0 and 1`);
+            }
+            if (!RULE_ACTIONS.includes(rule?.action)) {
+                errors.push(`${kind}.categories['${category}'].action must be one of: ${RULE_ACTIONS.join(', ')}`);
+            }
+        });
+    });
+    return errors;
+}
+
+module.exports = {
+    evaluateModerationPolicy,
+    validateModerationConfig
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+/**
+ * Moderation providers.
+ * Every provider exposes the same interface so checkContentModeration doesn't care which one runs:
+ *   provider.name
+ *   provider.moderate(input, { signal }) -> Promise<{ flagged, categories, category_scores }>
+ * where input is { type: 'text', text } or { type: 'image', contentType, content } (content is base64).
+ */
+
+// Categories returned by omni-moderation; the local provider reports the same set
+const MODERATION_CATEGORIES = [
+    'harassment',
+    'harassment/threatening',
+    'hate',
+    'hate/threatening',
+    'illicit',
+    'illicit/violent',
+    'self-harm',
+    'self-harm/intent',
+    'self-harm/instructions',
+    'sexual',
+    'sexual/minors',
+    'violence',
+    'violence/graphic'
+];
+
+const PROVIDER_NAMES = ['openai', 'local'];
+
+// Created on first use so the module loads without an API key (local development, air-gapped staging)
+let openaiClient = null;
+
+/**
+ * The shared OpenAI client (moderation here, classification in classifier.js)
+ * @returns {Object} - OpenAI client
+ */
+function getOpenAIClient() {
+    if (!openaiClient) {
+        openaiClient = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY
+        });
+    }
+    return openaiClient;
+}
+
+/**
+ * OpenAI omni-moderation provider
+ */
+const openaiProvider = {
+    name: 'openai',
+    async moderate(input, { signal } = {}) {
+        const apiInput = input.type === 'image'
+            ? { type: 'image_url', image_url: { url: `data:${input.contentType};base64,${input.content}` } }
+            : { type: 'text', text: input.text };
+
+        const response = await getOpenAIClient().moderations.create({
+            model: 'omni-moderation-latest',
+            input: [apiInput]
+        }, { signal });
+        return response?.results?.[0];
+    }
+};
+
+/**
+ * Build an empty result in the moderation shape (nothing flagged, all scores 0)
+ * @returns {Object} - { flagged, categories, category_scores }
+ */
+function emptyResult() {
+    const categories = {};
+    const categoryScores = {};
+    MODERATION_CATEGORIES.forEach(category => {
+        categories[category] = false;
+        categoryScores[category] = 0;
+    });
+    return { flagged: false, categories, category_scores: categoryScores };
+}
+
+/**
+ * Create the offline keyword/regex provider.
+ * Each rule gives its category a fixed score when its pattern matches; the highest match per category wins.
+ * Images can't be classified offline, so they always come back clean.
+ * @param {Object} localConfig - filterConfig.moderation.local: { flagThreshold, rules: [{ category, pattern, flags, score }] }
+ * @returns {Object} - Provider
+ */
+function createLocalProvider(localConfig = {}) {
+    const flagThreshold = localConfig.flagThreshold ?? 0.5;
+    const rules = (localConfig.rules || []).map(rule => ({
+        category: rule.category,
+        score: rule.score,
+        regex: new RegExp(rule.pattern, rule.flags ?? 'i')
+    }));
+
+    return {
+        name: 'local',
+        async moderate(input) {
+            const result = emptyResult();
+            if (input.type !== 'text' || !input.text) {
+                return result;
+            }
+
+            rules.forEach(rule => {
+                if (rule.regex.test(input.text) && rule.score > (result.category_scores[rule.category] || 0)) {
+                    result.category_scores[rule.category] = rule.score;
+                }
+            });
+            Object.entries(result.category_scores).forEach(([category, score]) => {
+                result.categories[category] = score >= flagThreshold;
+            });
+            result.flagged = Object.values(result.categories).some(Boolean);
+            return result;
+        }
+    };
+}
+
+// Remembered OpenAI responses, keyed by a hash of the input. Off unless enableResponseCache() is called;
+// the replay CLI turns it on so comparing two configs doesn't send every email to the API twice.
+let responseCache = null;
+
+/**
+ * Remember OpenAI moderation responses for the rest of the process
+ */
+function enableResponseCache() {
+    responseCache = responseCache || new Map();
+}
+
+/**
+ * Wrap a provider so identical inputs are only moderated once
+ * @param {Object} provider - Provider to wrap
+ * @returns {Object} - Provider with the same name and interface
+ */
+function withResponseCache(provider) {
+    return {
+        name: provider.name,
+        moderate(input, options) {
+            const key = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+            if (!responseCache.has(key)) {
+                const pending = provider.moderate(input, options).catch(err => {
+                    responseCache.delete(key); // don't remember failures
+                    throw err;
+                });
+                responseCache.set(key, pending);
+            }
+            return responseCache.get(key);
+        }
+    };
+}
+
+/**
+ * Pick the provider for this evaluation.
+ * MODERATION_PROVIDER wins, then filterConfig.moderation.provider; with neither set we use
+ * OpenAI when there is an API key and the local provider otherwise.
+ * @param {Object} moderationConfig - filterConfig.moderation
+ * @returns {Object} - Provider
+ */
+function getModerationProvider(moderationConfig = {}) {
+    const name = process.env.MODERATION_PROVIDER
+        || moderationConfig.provider
+        || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+    if (name === 'local') {
+        return createLocalProvider(moderationConfig.local);
+    }
+    if (name !== 'openai') {
+        console.warn(`Unknown moderation provider '${name}', using openai`);
+    }
+    return responseCache ? withResponseCache(openaiProvider) : openaiProvider;
+}
+
+/**
+ * Validate the provider settings of the moderation rule group (used by the admin API)
+ * @param {Object} group - filterConfig.moderation
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateProviderConfig(group) {
+    const errors = [];
+    if (group.provider !== undefined && group.provider !== null && !PROVIDER_NAMES.includes(group.provider)) {
+        errors.push(`provider must be null or one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    if (group.local === undefined) {
+        return errors;
+    }
+
+    const local = group.local;
+    if (!local || typeof local !== 'object') {
+        errors.push('local must be an object');
+        return errors;
+    }
+    if (local.flagThreshold !== undefined && (typeof local.flagThreshold !== 'number' || local.flagThreshold < 0 || local.flagThreshold > 1)) {
+        errors.push('local.flagThreshold must be a number between 0 and 1');
+    }
+    if (!Array.isArray(local.rules)) {
+        errors.push('local.rules must be an array');
+        return errors;
+    }
+    local.rules.forEach((rule, i) => {
+        if (!MODERATION_CATEGORIES.includes(rule?.category)) {
+            errors.push(`local.rules[${i}].category must be one of: ${MODERATION_CATEGORIES.join(', ')}`);
+        }
+        if (typeof rule?.score !== 'number' || rule.score < 0 || rule.score > 1) {
+            errors.push(`local.rules[${i}].score must be a number between 0 and 1`);
+        }
+        try {
+            new RegExp(rule?.pattern, rule?.flags ?? 'i');
+        } catch (err) {
+            errors.push(`local.rules[${i}].pattern is not a valid regex: ${err.message}`);
+        }
+        if (typeof rule?.pattern !== 'string' || !rule.pattern) {
+            errors.push(`local.rules[${i}].pattern must be a non-empty string`);
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    MODERATION_CATEGORIES,
+    getOpenAIClient,
+    getModerationProvider,
+    createLocalProvider,
+    enableResponseCache,
+    validateProviderConfig
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+
+/**
+ * Disk-backed outbox for deliveries to external systems (the output sinks, see sinks.js).
+ * Every delivery is stored before we try it, retried with exponential backoff, and moved to
+ * status 'dead' after OUTBOX_MAX_ATTEMPTS so it can be replayed or discarded through the API.
+ * Each destination is its own entry, so one failing system never holds up another.
+ */
+
+const OUTBOX_PATH = process.env.OUTBOX_PATH || path.join(__dirname, 'data', 'outbox.json');
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30000; // 30s, 1m, 2m, 4m, ...
+const MAX_DELAY_MS = 60 * 60 * 1000; // never wait more than an hour between attempts
+
+// destination name -> async function(payload) that throws on failure
+const destinations = {};
+
+// Pending and dead entries; delivered entries are dropped
+let entries = readJsonFile(OUTBOX_PATH, []);
+const inFlight = new Set(); // ids currently being delivered
+const save = createJsonWriter(OUTBOX_PATH, 'outbox', { durable: true });
+let workerTimer = null;
+
+/**
+ * Save the outbox
+ * @returns {Promise<void>} - Rejects if the write failed
+ */
+function persist() {
+    return save(entries.map(entry => ({ ...entry })));
+}
+
+/**
+ * Register the function that delivers payloads for a destination
+ * @param {string} name - Destination name, e.g. 'sheets'
+ * @param {Function} deliver - async (payload) => void, throws on failure
+ */
+function registerDestination(name, deliver) {
+    destinations[name] = deliver;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds to wait
+ */
+function backoffDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * (2 ** (attempts - 1)), MAX_DELAY_MS);
+}
+
+/**
+ * Try to deliver one entry and update its state
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<boolean>} - True if delivered
+ */
+async function attemptDelivery(entry) {
+    const deliver = destinations[entry.destination];
+    if (!deliver || inFlight.has(entry.id)) {
+        return false;
+    }
+
+    inFlight.add(entry.id);
+    entry.attempts += 1;
+    entry.lastAttemptAt = new Date().toISOString();
+    try {
+        await deliver(entry.payload);
+        entries = entries.filter(e => e.id !== entry.id);
+        console.log(`Outbox: delivered ${entry.id} to ${entry.destination} (attempt ${entry.attempts})`);
+        return true;
+    } catch (err) {
+        entry.lastError = err.message;
+        if (entry.attempts >= MAX_ATTEMPTS) {
+            entry.status = 'dead';
+            entry.nextAttemptAt = null;
+            console.error(`Outbox: ${entry.id} to ${entry.destination} dead-lettered after ${entry.attempts} attempts:`, err.message);
+        } else {
+            entry.nextAttemptAt = new Date(Date.now() + backoffDelay(entry.attempts)).toISOString();
+            console.warn(`Outbox: ${entry.id} to ${entry.destination} failed (attempt ${entry.attempts}), retrying at ${entry.nextAttemptAt}:`, err.message);
+        }
+        return false;
+    } finally {
+        inFlight.delete(entry.id);
+        await persist().catch(() => {}); // logged; the next save writes this state too
+    }
+}
+
+/**
+ * Store a delivery and make the first attempt right away
+ * @param {string} destination - Registered destination name
+ * @param {Object} payload - Data handed to the destination's deliver function
+ * @returns {Promise<boolean>} - True if the first attempt succeeded (otherwise it stays queued for retry);
+ *   rejects if the delivery couldn't be saved to disk
+ */
+async function enqueue(destination, payload) {
+    if (!destinations[destination]) {
+        throw new Error(`Unknown outbox destination '${destination}'`);
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        destination,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null
+    };
+    entries.push(entry);
+    await persist();
+    return attemptDelivery(entry);
+}
+
+/**
+ * Retry every pending entry that is due
+ * @returns {Promise<void>}
+ */
+async function processDueEntries() {
+    const now = Date.now();
+    const due = entries.filter(e => e.status === 'pending' && Date.parse(e.nextAttemptAt) <= now);
+    for (const entry of due) {
+        await attemptDelivery(entry);
+    }
+}
+
+/**
+ * Start the background retry loop
+ * @param {number} [intervalMs] - How often to look for due entries
+ */
+function startOutboxWorker(intervalMs = 10000) {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+        processDueEntries().catch(err => console.error('Outbox worker error:', err));
+    }, intervalMs);
+    workerTimer.unref(); // don't keep the process alive just for retries
+}
+
+/**
+ * List outbox entries
+ * @param {string} [status] - 'pending' or 'dead'; all entries if omitted
+ * @returns {Array} - Matching entries
+ */
+function listEntries(status) {
+    return entries.filter(e => !status || e.status === status);
+}
+
+/**
+ * Reset an entry's attempts and deliver it again now
+ * @param {string} id - Entry id
+ * @returns {Promise<Object|null>} - { delivered, entry } or null if not found
+ */
+async function replayEntry(id) {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) {
+        return null;
+    }
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    const delivered = await attemptDelivery(entry);
+    return { delivered, entry };
+}
+
+/**
+ * Drop an entry without delivering it
+ * @param {string} id - Entry id
+ * @returns {Promise<boolean>} - True if it existed
+ */
+async function discardEntry(id) {
+    const before = entries.length;
+    entries = entries.filter(e => e.id !== id || inFlight.has(id));
+    if (entries.length === before) {
+        return false;
+    }
+    await persist();
+    return true;
+}
+
+module.exports = {
+    registerDestination,
+    enqueue,
+    processDueEntries,
+    startOutboxWorker,
+    listEntries,
+    replayEntry,
+    discardEntry
+};
@@ -0,0 +1,47 @@
+const express = require('express');
+const { requireAdmin } = require('./adminAuth');
+const { listEntries, replayEntry, discardEntry } = require('./outbox');
+
+// Admin endpoints for the delivery outbox, mounted under /api/outbox
+const router = express.Router();
+router.use(requireAdmin);
+
+// List deliveries; dead-lettered ones by default, ?status=pending for those still retrying
+router.get('/', (req, res) => {
+    const status = req.query.status || 'dead';
+    if (!['pending', 'dead'].includes(status)) {
+        return res.status(400).json({ success: false, error: "status must be 'pending' or 'dead'" });
+    }
+    const entries = listEntries(status);
+    res.json({ success: true, count: entries.length, entries });
+});
+
+// Retry a delivery now with a fresh attempt count
+router.post('/:id/replay', async (req, res) => {
+    try {
+        const result = await replayEntry(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Outbox entry not found' });
+        }
+        res.json({ success: true, delivered: result.delivered, entry: result.delivered ? null : result.entry });
+    } catch (error) {
+        console.error('Error replaying outbox entry:', error);
+        res.status(500).json({ success: false, error: 'Error replaying outbox entry' });
+    }
+});
+
+// Give up on a delivery
+router.delete('/:id', async (req, res) => {
+    try {
+        const removed = await discardEntry(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Outbox entry not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error discarding outbox entry:', error);
+        res.status(500).json({ success: false, error: 'Error discarding outbox entry' });
+    }
+});
+
+module.exports = router;
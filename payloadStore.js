@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./fileStore');
+
+/**
+ * Emails kept on disk one file each, so the stores that refer to them (quarantine, job queue) only
+ * rewrite their small index files when something changes, however big the attachments are.
+ * Files are PAYLOADS_DIR/<kind>/<hash of the id>.json.
+ */
+
+const PAYLOADS_DIR = process.env.PAYLOADS_DIR || path.join(__dirname, 'data', 'payloads');
+
+/**
+ * File holding a payload
+ * @param {string} kind - Store it belongs to, e.g. 'quarantine'
+ * @param {string} id - Id within that store (any string; job keys contain ':' and '@')
+ * @returns {string} - File path
+ */
+function payloadPath(kind, id) {
+    const name = crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 40);
+    return path.join(PAYLOADS_DIR, kind, `${name}.json`);
+}
+
+/**
+ * Write a payload
+ * @param {string} kind - Store it belongs to
+ * @param {string} id - Id within that store
+ * @param {*} data - Data to keep
+ * @returns {Promise<void>}
+ */
+async function savePayload(kind, id, data) {
+    await writeJsonFile(payloadPath(kind, id), data);
+}
+
+/**
+ * Read a payload
+ * @param {string} kind - Store it belongs to
+ * @param {string} id - Id within that store
+ * @returns {*} - The data, or null if there is none
+ */
+function loadPayload(kind, id) {
+    return readJsonFile(payloadPath(kind, id), null);
+}
+
+/**
+ * Delete a payload; one that is already gone is fine
+ * @param {string} kind - Store it belongs to
+ * @param {string} id - Id within that store
+ * @returns {Promise<void>}
+ */
+async function deletePayload(kind, id) {
+    try {
+        await fs.promises.unlink(payloadPath(kind, id));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Error deleting ${kind} payload:`, err);
+        }
+    }
+}
+
+module.exports = {
+    savePayload,
+    loadPayload,
+    deletePayload
+};
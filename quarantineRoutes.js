@@ -0,0 +1,182 @@
+const express = require('express');
+const { requireAdmin } = require('./adminAuth');
+const { filterConfig, releaseQuarantinedEmail, remoderateHeldEmails } = require('./emailfilter');
+const { addListEntry } = require('./configStore');
+const { addTenantListEntry, getTenant } = require('./tenants');
+const { STATUSES, listEntries, getEntry, markReviewed, deleteEntry, summarize } = require('./quarantineStore');
+
+// Admin endpoints for reviewing quarantined emails, mounted under /api/quarantine
+const router = express.Router();
+router.use(requireAdmin);
+
+// What a reviewer can add to the lists: the sender's full address or its domain
+const FEEDBACK_SCOPES = ['sender', 'domain'];
+
+/**
+ * Load the :id entry or answer 404
+ */
+function requireEntry(req, res, next) {
+    const entry = getEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ success: false, error: 'Quarantine entry not found' });
+    }
+    req.entry = entry;
+    next();
+}
+
+/**
+ * Check the optional feedback scope in the request body
+ * @param {Object} body - Request body
+ * @param {string} field - Field holding the scope, e.g. 'trust'
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateScope(body, field) {
+    const scope = body?.[field];
+    if (scope !== undefined && !FEEDBACK_SCOPES.includes(scope)) {
+        return `${field} must be one of: ${FEEDBACK_SCOPES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Add the entry's sender or domain to a whitelist or blacklist.
+ * If the email's tenant has its own copy of that list the tenant's list is edited, otherwise the default one.
+ * @param {Object} entry - Quarantine entry
+ * @param {string} scope - 'sender' (usernames list, full address) or 'domain' (domains list)
+ * @param {string} list - 'whitelist' or 'blacklist'
+ * @returns {Promise<Object>} - { ruleGroup, list, entry, tenant } describing the change
+ */
+async function applyListFeedback(entry, scope, list) {
+    const ruleGroup = scope === 'sender' ? 'usernames' : 'domains';
+    const value = scope === 'sender' ? entry.from : entry.domain;
+    if (!value) {
+        throw new Error(`Quarantine entry has no sender ${scope === 'sender' ? 'address' : 'domain'}`);
+    }
+    const tenantResult = entry.tenant ? await addTenantListEntry(entry.tenant, ruleGroup, list, value, filterConfig) : null;
+    const result = tenantResult || await addListEntry(filterConfig, ruleGroup, list, value);
+    if (result.errors) {
+        throw new Error(`Invalid ${ruleGroup} update: ${result.errors.join('; ')}`);
+    }
+    const tenant = tenantResult ? entry.tenant : 'default';
+    console.log(`Quarantine review added '${value}' to ${ruleGroup}.${list} (${tenant} policy)`);
+    return { ruleGroup, list, entry: value, tenant };
+}
+
+/**
+ * What whitelisting the entry's domain changes under its policy. The domains whitelist is only consulted in
+ * mode 'all'; in the other modes adding to it just takes the domain off the blacklist.
+ * @param {Object} entry - Quarantine entry
+ * @returns {Object} - { effective, note }; effective is false when nothing would change, note explains a limited effect
+ */
+function domainTrustEffect(entry) {
+    const domains = getTenant(entry.tenant, filterConfig).config.domains;
+    if (domains.mode === 'all') {
+        return { effective: true, note: null };
+    }
+    const blacklisted = domains.blacklist.includes(String(entry.domain || '').trim().toLowerCase());
+    return {
+        effective: blacklisted,
+        note: `domains.mode is '${domains.mode}', so the domains whitelist is not consulted`
+            + (blacklisted ? '; the domain was only taken off the blacklist' : '')
+    };
+}
+
+// List entries, newest first. Filters: ?status, ?action, ?reason, ?ruleGroup, ?tenant, ?sender, ?q (subject), ?since
+router.get('/', (req, res) => {
+    const { status, action, reason, ruleGroup, tenant, sender, q, since } = req.query;
+    if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (since && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ success: false, error: 'since must be a date' });
+    }
+    const entries = listEntries({ status, action, reason, ruleGroup, tenant, sender, q, since });
+    res.json({ success: true, count: entries.length, entries });
+});
+
+// Re-moderate emails held during a moderation outage now instead of waiting for the background run
+router.post('/remoderate', async (req, res) => {
+    try {
+        const result = await remoderateHeldEmails();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error re-moderating held emails:', error);
+        res.status(500).json({ success: false, error: 'Error re-moderating held emails' });
+    }
+});
+
+// Full entry: the email, the payload as received and the verdict
+router.get('/:id', requireEntry, (req, res) => {
+    res.json({ success: true, entry: req.entry });
+});
+
+// Release: save the email downstream as allowed. { "trust": "sender" | "domain" } also whitelists it once it's
+// released; "domain" is refused when the policy's domains mode would ignore it (see domainTrustEffect).
+router.post('/:id/release', requireEntry, async (req, res) => {
+    const error = validateScope(req.body, 'trust');
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    if (req.entry.status === 'released') {
+        return res.status(409).json({ success: false, error: 'Entry was already released' });
+    }
+    if (!req.entry.email) {
+        return res.status(409).json({ success: false, error: 'The email was not kept for this entry, so it cannot be released' });
+    }
+    const trustEffect = req.body?.trust === 'domain' ? domainTrustEffect(req.entry) : null;
+    if (trustEffect && !trustEffect.effective) {
+        return res.status(400).json({ success: false, error: `Trusting the domain would change nothing: ${trustEffect.note}` });
+    }
+    try {
+        const saved = await releaseQuarantinedEmail(req.entry, req.body?.note);
+        const entry = await markReviewed(req.entry.id, 'released', req.body?.note);
+        let listUpdate = null;
+        if (req.body?.trust) {
+            try {
+                listUpdate = await applyListFeedback(req.entry, req.body.trust, 'whitelist');
+            } catch (listError) {
+                console.error('Error whitelisting released quarantine sender:', listError);
+                return res.status(500).json({ success: false, error: 'Entry was released, but updating the whitelist failed', entry: summarize(entry), saved });
+            }
+            if (trustEffect?.note) {
+                listUpdate.note = trustEffect.note;
+            }
+        }
+        res.json({ success: true, entry: summarize(entry), saved, listUpdate });
+    } catch (error) {
+        console.error('Error releasing quarantine entry:', error);
+        res.status(500).json({ success: false, error: 'Error releasing quarantine entry' });
+    }
+});
+
+// Reject: keep it out and blacklist the sender. Body: { "block": "sender" | "domain" }, defaults to sender.
+router.post('/:id/block', requireEntry, async (req, res) => {
+    const error = validateScope(req.body, 'block');
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    try {
+        const listUpdate = await applyListFeedback(req.entry, req.body?.block || 'sender', 'blacklist');
+        const entry = await markReviewed(req.entry.id, 'rejected', req.body?.note);
+        res.json({ success: true, entry: summarize(entry), listUpdate });
+    } catch (error) {
+        console.error('Error blocking quarantine sender:', error);
+        res.status(500).json({ success: false, error: 'Error blocking quarantine sender' });
+    }
+});
+
+// Permanently delete an entry
+router.delete('/:id', async (req, res) => {
+    try {
+        const removed = await deleteEntry(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Quarantine entry not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting quarantine entry:', error);
+        res.status(500).json({ success: false, error: 'Error deleting quarantine entry' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { parseSender } = require('./addressParser');
+const { savePayload, loadPayload, deletePayload } = require('./payloadStore');
+
+/**
+ * Local quarantine for emails the filter blocked or quarantined.
+ * Each entry keeps the email, the payload as received and the full verdict, so a reviewer can see
+ * why it was held and release it (saved downstream as allowed) or delete it for good.
+ * quarantine.json only holds the entry summaries; the email, payload and verdict of each entry are a
+ * file of their own (see payloadStore.js), so adding an entry doesn't rewrite every stored attachment.
+ * Entries older than the retention window are dropped, and the oldest beyond QUARANTINE_MAX_ENTRIES.
+ */
+
+const QUARANTINE_PATH = process.env.QUARANTINE_PATH || path.join(__dirname, 'data', 'quarantine.json');
+const RETENTION_MS = (Number(process.env.QUARANTINE_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.QUARANTINE_MAX_ENTRIES) || 5000;
+const PAYLOAD_KIND = 'quarantine';
+
+const STATUSES = ['quarantined', 'released', 'rejected'];
+
+let entries = readJsonFile(QUARANTINE_PATH, []);
+const save = createJsonWriter(QUARANTINE_PATH, 'quarantine');
+
+/**
+ * Drop entries older than the retention window, then the oldest ones beyond MAX_ENTRIES
+ */
+function pruneEntries() {
+    const cutoff = Date.now() - RETENTION_MS;
+    const current = entries.filter(entry => Date.parse(entry.createdAt) >= cutoff);
+    const kept = current.slice(Math.max(0, current.length - MAX_ENTRIES));
+    if (current.length > kept.length) {
+        console.warn(`Quarantine is over ${MAX_ENTRIES} entries, dropping the ${current.length - kept.length} oldest`);
+    }
+    const keptIds = new Set(kept.map(entry => entry.id));
+    entries
+        .filter(entry => !keptIds.has(entry.id) && entry.emailStored)
+        .forEach(entry => deletePayload(PAYLOAD_KIND, entry.id));
+    entries = kept;
+}
+
+/**
+ * Save the quarantine
+ * @returns {Promise<void>}
+ */
+function persist() {
+    return save(entries.slice());
+}
+
+/**
+ * The fields shown in list views (everything except the email itself)
+ * @param {Object} entry - Quarantine entry
+ * @returns {Object} - Summary of the entry
+ */
+function summarize(entry) {
+    const { email, original, verdict, ...summary } = entry;
+    return summary;
+}
+
+/**
+ * The stored entry itself (for changes), without its email
+ * @param {string} id - Entry id
+ * @returns {Object|null} - The entry, or null if not found
+ */
+function findEntry(id) {
+    return entries.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Put an email in quarantine
+ * @param {Object} email - Email in the internal shape (see ingest.js)
+ * @param {Object} original - Payload as received
+ * @param {Object} verdict - Result of evaluateEmail
+ * @param {Object} [options] - { keepEmail: false } records the summary and verdict only, without the email
+ *   and payload (for messages that arrive in floods); such an entry can't be released
+ * @returns {Promise<Object>} - Summary of the stored entry
+ */
+async function addEntry(email, original, verdict, options = {}) {
+    const keepEmail = options.keepEmail !== false;
+    const sender = parseSender(email);
+    const entry = {
+        id: crypto.randomUUID(),
+        status: 'quarantined',
+        messageId: email.MessageID || null,
+        from: sender.address,
+        domain: sender.domain,
+        subject: email.Subject || '',
+        action: verdict.decision.action,
+        reason: verdict.decision.reason,
+        ruleGroup: verdict.decision.ruleGroup,
+        tenant: verdict.tenant || 'default',
+        createdAt: new Date().toISOString(),
+        reviewedAt: null,
+        reviewNote: null,
+        emailStored: keepEmail
+    };
+    if (keepEmail) {
+        await savePayload(PAYLOAD_KIND, entry.id, { email, original, verdict });
+    } else {
+        Object.assign(entry, { email: null, original: null, verdict });
+    }
+    entries.push(entry);
+    pruneEntries();
+    await persist();
+    console.log(`Quarantined ${entry.id} from ${entry.from} (${entry.reason})`);
+    return summarize(entry);
+}
+
+/**
+ * List quarantine entries, newest first
+ * @param {Object} [filters] - All optional
+ * @param {string} [filters.status] - 'quarantined', 'released' or 'rejected'
+ * @param {string} [filters.action] - 'block' or 'quarantine'
+ * @param {string} [filters.reason] - Reason code, e.g. 'LINK_TEXT_MISMATCH'
+ * @param {string} [filters.ruleGroup] - Deciding rule group
+ * @param {string} [filters.tenant] - Tenant whose policy applied (see tenants.js)
+ * @param {string} [filters.sender] - Substring of the sender address
+ * @param {string} [filters.q] - Substring of the subject
+ * @param {string} [filters.since] - ISO date; only entries created at or after it
+ * @returns {Array} - Entry summaries
+ */
+function listEntries(filters = {}) {
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const sender = filters.sender ? filters.sender.toLowerCase() : null;
+    const q = filters.q ? filters.q.toLowerCase() : null;
+    return entries
+        .filter(entry => !filters.status || entry.status === filters.status)
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => !filters.reason || entry.reason === filters.reason)
+        .filter(entry => !filters.ruleGroup || entry.ruleGroup === filters.ruleGroup)
+        .filter(entry => !filters.tenant || (entry.tenant || 'default') === filters.tenant)
+        .filter(entry => !sender || String(entry.from).includes(sender))
+        .filter(entry => !q || entry.subject.toLowerCase().includes(q))
+        .filter(entry => since === null || Date.parse(entry.createdAt) >= since)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarize);
+}
+
+/**
+ * Get one entry with its email and verdict
+ * @param {string} id - Entry id
+ * @returns {Object|null} - The entry (email and original are null when they weren't kept), or null if not found
+ */
+function getEntry(id) {
+    const entry = findEntry(id);
+    if (!entry || !entry.emailStored) {
+        return entry; // kept without the email, or stored inline before payload files
+    }
+    const payload = loadPayload(PAYLOAD_KIND, id) || {};
+    return { ...entry, email: payload.email ?? null, original: payload.original ?? null, verdict: payload.verdict ?? null };
+}
+
+/**
+ * Record a reviewer's decision on an entry
+ * @param {string} id - Entry id
+ * @param {string} status - 'released' or 'rejected'
+ * @param {string} [note] - Free text kept with the entry
+ * @returns {Promise<Object|null>} - The updated entry, or null if not found
+ */
+async function markReviewed(id, status, note) {
+    const entry = findEntry(id);
+    if (!entry) {
+        return null;
+    }
+    entry.status = status;
+    entry.reviewedAt = new Date().toISOString();
+    entry.reviewNote = note || null;
+    await persist();
+    return entry;
+}
+
+/**
+ * Replace an entry's verdict after it was evaluated again (e.g. re-moderated after an outage)
+ * @param {string} id - Entry id
+ * @param {Object} verdict - New result of evaluateEmail
+ * @returns {Promise<Object|null>} - The updated entry, or null if not found
+ */
+async function updateVerdict(id, verdict) {
+    const entry = findEntry(id);
+    if (!entry) {
+        return null;
+    }
+    if (entry.emailStored) {
+        await savePayload(PAYLOAD_KIND, id, { ...loadPayload(PAYLOAD_KIND, id), verdict });
+    } else {
+        entry.verdict = verdict;
+    }
+    entry.action = verdict.decision.action;
+    entry.reason = verdict.decision.reason;
+    entry.ruleGroup = verdict.decision.ruleGroup;
+    await persist();
+    return entry;
+}
+
+/**
+ * Permanently delete an entry
+ * @param {string} id - Entry id
+ * @returns {Promise<boolean>} - True if it existed
+ */
+async function deleteEntry(id) {
+    const entry = findEntry(id);
+    if (!entry) {
+        return false;
+    }
+    entries = entries.filter(existing => existing !== entry);
+    await persist();
+    if (entry.emailStored) {
+        await deletePayload(PAYLOAD_KIND, id);
+    }
+    return true;
+}
+
+pruneEntries();
+
+module.exports = {
+    STATUSES,
+    addEntry,
+    listEntries,
+    getEntry,
+    markReviewed,
+    updateVerdict,
+    deleteEntry,
+    summarize
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const util = require('util');
+
+/**
+ * PII redaction for data that leaves the service: the output sinks and the logs.
+ * Each has its own named policy in filterConfig.redaction ('logs', and one per sink, see sinks.js):
+ *   emails:  'keep' | 'redact' | 'hash'   - every email address
+ *   sender:  'keep' | 'redact' | 'hash'   - the sender's address; overrides emails for it
+ *   phones, cards, nationalIds: true to redact (cards must pass the Luhn check)
+ *   attachmentContents: true to drop base64 attachment contents
+ *   customPatterns: [{ name, pattern, flags }] extra regexes, replaced with [NAME]
+ * Hashes are HMAC-SHA256 with REDACTION_HASH_SALT, so the same address always gives the same
+ * hash (rows can still be grouped by sender) without the address being readable. Without the salt an
+ * unkeyed digest could be reversed with a list of addresses, so 'hash' is rejected by validation and
+ * redacts instead.
+ */
+
+const ADDRESS_MODES = ['keep', 'redact', 'hash'];
+const FLAGS = ['phones', 'cards', 'nationalIds', 'attachmentContents'];
+// Everything redacted: for a destination that has no policy of its own
+const STRICT_POLICY = { emails: 'redact', sender: 'redact', phones: true, cards: true, nationalIds: true, attachmentContents: true };
+
+// The lookbehind starts a match only at the beginning of a run, otherwise long runs are quadratic
+const EMAIL_PATTERN = /(?<![A-Z0-9._%+-])[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// 13-19 digits, optionally grouped with spaces or dashes
+const CARD_PATTERN = /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g;
+// International (+44 20 7946 0958), grouped (555-123-4567, (555) 123 4567) or +15551234567
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?![\w-])|\+\d{8,15}(?!\w)/g;
+// Digit groups that look like phone numbers but aren't: dates and IPv4 addresses
+const NOT_A_PHONE = /^(?:\d{4}[-.]\d{2}[-.]\d{2}|\d{2}[-.]\d{2}[-.]\d{4}|\d{1,3}(?:\.\d{1,3}){3})$/;
+const NATIONAL_ID_PATTERNS = [
+    /\b\d{3}-\d{2}-\d{4}\b/g,                                            // US SSN
+    /\b[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/g          // UK National Insurance number
+];
+// "Content": "<base64>" in JSON text (Postmark attachments), for logs and raw JSON columns
+const JSON_ATTACHMENT_PATTERN = /("Content"\s*:\s*)"[^"]*"/g;
+
+const ATTACHMENT_PLACEHOLDER = '[ATTACHMENT REDACTED]';
+
+let warnedNoSalt = false;
+
+/**
+ * Hash an address for storage
+ * @param {string} address - Email address
+ * @returns {string} - 'hash:<hex>', or '[EMAIL]' when REDACTION_HASH_SALT is not set
+ */
+function hashAddress(address) {
+    if (!process.env.REDACTION_HASH_SALT) {
+        if (!warnedNoSalt) {
+            warnedNoSalt = true; // set first: the warning itself goes through console redaction
+            console.warn('REDACTION_HASH_SALT is not set, redacting addresses instead of hashing them');
+        }
+        return '[EMAIL]';
+    }
+    const hmac = crypto.createHmac('sha256', process.env.REDACTION_HASH_SALT);
+    return `hash:${hmac.update(String(address).trim().toLowerCase()).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Luhn checksum, so order numbers and timestamps aren't taken for card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean} - True if the checksum is valid
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Whether a policy leaves everything as it is, so redaction can be skipped
+ * @param {Object} policy - One redaction policy
+ * @returns {boolean} - True if nothing would change
+ */
+function changesNothing(policy) {
+    return (policy.emails || 'keep') === 'keep'
+        && (policy.sender || 'keep') === 'keep'
+        && FLAGS.every(flag => !policy[flag])
+        && !(policy.customPatterns || []).length;
+}
+
+/**
+ * Redact a piece of text
+ * @param {string} text - Text to redact
+ * @param {Object} policy - One redaction policy
+ * @param {string} [sender] - The sender's address, for the sender setting
+ * @returns {string} - Redacted text
+ */
+function redactText(text, policy, sender) {
+    if (typeof text !== 'string' || !policy || changesNothing(policy)) return text;
+    let result = text;
+
+    if (policy.attachmentContents) {
+        result = result.replace(JSON_ATTACHMENT_PATTERN, `$1"${ATTACHMENT_PLACEHOLDER}"`);
+    }
+
+    const senderAddress = sender ? sender.toLowerCase() : null;
+    result = result.replace(EMAIL_PATTERN, (address) => {
+        const mode = senderAddress && address.toLowerCase() === senderAddress && policy.sender
+            ? policy.sender
+            : policy.emails || 'keep';
+        if (mode === 'hash') return hashAddress(address);
+        if (mode === 'redact') return '[EMAIL]';
+        return address;
+    });
+
+    // Cards and national IDs before phones, which would otherwise match their digit groups
+    if (policy.cards) {
+        result = result.replace(CARD_PATTERN, (match) => (passesLuhn(match.replace(/\D/g, '')) ? '[CARD]' : match));
+    }
+    if (policy.nationalIds) {
+        NATIONAL_ID_PATTERNS.forEach(pattern => {
+            result = result.replace(pattern, '[NATIONAL_ID]');
+        });
+    }
+    if (policy.phones) {
+        result = result.replace(PHONE_PATTERN, (match) => (match.replace(/\D/g, '').length >= 7 && !NOT_A_PHONE.test(match) ? '[PHONE]' : match));
+    }
+    (policy.customPatterns || []).forEach(custom => {
+        result = result.replace(new RegExp(custom.pattern, custom.flags ?? 'gi'), `[${String(custom.name).toUpperCase()}]`);
+    });
+    return result;
+}
+
+/**
+ * Redact every string in a value (objects and arrays are copied, not changed)
+ * Attachment objects ({ Name, ContentType, Content }) lose their Content when attachmentContents is set.
+ * @param {*} value - Value to redact
+ * @param {Object} policy - One redaction policy
+ * @param {string} [sender] - The sender's address, for the sender setting
+ * @returns {*} - Redacted copy
+ */
+function redactValue(value, policy, sender) {
+    if (!policy || changesNothing(policy)) return value;
+    if (typeof value === 'string') {
+        return redactText(value, policy, sender);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, policy, sender));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Error) && !Buffer.isBuffer(value)) {
+        const copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            copy[key] = policy.attachmentContents && key === 'Content' && 'ContentType' in value
+                ? ATTACHMENT_PLACEHOLDER
+                : redactValue(item, policy, sender);
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Redact everything written through console.log/info/warn/error with the current logs policy.
+ * Strings are redacted as they are; objects are formatted first, like console would.
+ * @param {Function} getPolicy - () => the logs policy; read on every call so config edits apply at once
+ */
+function installConsoleRedaction(getPolicy) {
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            const policy = getPolicy();
+            if (!policy || changesNothing(policy)) {
+                return original(...args);
+            }
+            original(...args.map(arg => (typeof arg === 'string'
+                ? redactText(arg, policy)
+                : redactText(util.inspect(arg), policy))));
+        };
+    });
+}
+
+/**
+ * Validate the redaction rule group (used by the admin API)
+ * @param {Object} group - filterConfig.redaction
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateRedactionConfig(group) {
+    const errors = [];
+    if (!group.logs) {
+        errors.push('logs must be an object');
+    }
+    Object.keys(group).forEach(sink => {
+        const policy = group[sink];
+        if (!policy || typeof policy !== 'object') {
+            errors.push(`${sink} must be an object`);
+            return;
+        }
+        ['emails', 'sender'].forEach(key => {
+            if (!ADDRESS_MODES.includes(policy[key])) {
+                errors.push(`${sink}.${key} must be one of: ${ADDRESS_MODES.join(', ')}`);
+            } else if (policy[key] === 'hash' && !process.env.REDACTION_HASH_SALT) {
+                errors.push(`${sink}.${key} can't be 'hash' without REDACTION_HASH_SALT`);
+            }
+        });
+        FLAGS.forEach(flag => {
+            if (typeof policy[flag] !== 'boolean') {
+                errors.push(`${sink}.${flag} must be true or false`);
+            }
+        });
+        if (policy.customPatterns === undefined) return;
+        if (!Array.isArray(policy.customPatterns)) {
+            errors.push(`${sink}.customPatterns must be an array`);
+            return;
+        }
+        policy.customPatterns.forEach((custom, i) => {
+            if (!custom || typeof custom.name !== 'string' || !custom.name) {
+                errors.push(`${sink}.customPatterns[${i}].name must be a non-empty string`);
+            }
+            try {
+                new RegExp(custom?.pattern, custom?.flags ?? 'gi');
+            } catch (err) {
+                errors.push(`${sink}.customPatterns[${i}].pattern is not a valid regex: ${err.message}`);
+            }
+        });
+    });
+    return errors;
+}
+
+module.exports = {
+    STRICT_POLICY,
+    hashAddress,
+    redactText,
+    redactValue,
+    installConsoleRedaction,
+    validateRedactionConfig
+};
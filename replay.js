@@ -0,0 +1,247 @@
+//Offline replay: run the filter over stored emails and report what it would decide
+//usage:
+//  node replay.js <file or dir> [...] [--config a.json] [--compare b.json] [--format json|csv] [--out report.json] [--verbose]
+//inputs are Postmark webhook JSON files (like json/sample_postmark_email.json) or .eml files.
+//--config replaces rule groups of the current config with the ones in that file (same format as config/filterConfig.json),
+//--compare evaluates everything again with a second config and only reports the messages whose verdict changes.
+//nothing is saved anywhere: no Sheets rows, no CRUD posts, no quarantine or dedupe entries.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read the command line
+ * @param {Array} argv - process.argv without node and the script
+ * @returns {Object} - { inputs, config, compare, format, out, verbose }
+ */
+function parseArgs(argv) {
+    const options = { inputs: [], config: null, compare: null, format: 'json', out: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config' || arg === '--compare' || arg === '--format' || arg === '--out') {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+    if (!options.inputs.length) {
+        throw new Error('No input files or directories given');
+    }
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error("--format must be 'json' or 'csv'");
+    }
+    return options;
+}
+
+const options = (() => {
+    try {
+        return parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\nusage: node replay.js <file or dir> [...] [--config a.json] [--compare b.json] [--format json|csv] [--out file] [--verbose]`);
+        process.exit(2);
+    }
+})();
+
+// The filter logs every step to stdout; keep stdout for the report (stderr with --verbose, dropped otherwise)
+console.log = options.verbose ? console.error : () => {};
+console.warn = options.verbose ? console.warn : () => {};
+
+require('dotenv').config();
+
+const { evaluateEmail, filterConfig } = require('./emailfilter');
+const { RULE_GROUPS, loadConfig } = require('./configStore');
+const { normalizePostmark, normalizeRawMime } = require('./ingest');
+const { enableResponseCache } = require('./moderationProviders');
+const { parseSender } = require('./addressParser');
+
+/**
+ * Expand the inputs to the list of email files (directories are read one level deep)
+ * @param {Array} inputs - Files and directories from the command line
+ * @returns {Array} - Paths of .json and .eml files, sorted
+ */
+function collectFiles(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => /\.(json|eml)$/i.test(name))
+                .forEach(name => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    });
+    return files.sort();
+}
+
+/**
+ * Load the emails in a file
+ * @param {string} file - .json (one Postmark payload or an array of them) or .eml
+ * @returns {Array} - Emails in the internal shape (see ingest.js)
+ */
+function loadEmails(file) {
+    if (/\.eml$/i.test(file)) {
+        return [normalizeRawMime(fs.readFileSync(file)).email];
+    }
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const payloads = Array.isArray(parsed) ? parsed : [parsed];
+    if (!payloads.every(body => body && (body.From || body.FromFull))) {
+        throw new Error('not a Postmark payload (no From)');
+    }
+    return payloads.map(body => normalizePostmark(body).email);
+}
+
+/**
+ * Put the rule groups from a config file over the starting config
+ * @param {Object} baseline - Rule groups as they were at startup
+ * @param {string|null} file - Config file, or null for the baseline alone
+ */
+function applyConfig(baseline, file) {
+    RULE_GROUPS.forEach(name => {
+        filterConfig[name] = baseline[name];
+    });
+    if (file && !loadConfig(filterConfig, file)) {
+        throw new Error(`Could not read config file ${file}`);
+    }
+}
+
+/**
+ * Evaluate every email with the current filterConfig
+ * @param {Array} messages - [{ file, email }]
+ * @returns {Promise<Array>} - One result per message: { action, reason, ruleGroup }; action 'error' if evaluation threw
+ */
+async function evaluateAll(messages) {
+    const results = [];
+    for (const { email } of messages) {
+        try {
+            const verdict = await evaluateEmail(email);
+            results.push({
+                action: verdict.decision.action,
+                reason: verdict.decision.reason,
+                ruleGroup: verdict.decision.ruleGroup
+            });
+        } catch (err) {
+            results.push({ action: 'error', reason: err.message, ruleGroup: null });
+        }
+    }
+    return results;
+}
+
+/**
+ * Count results per action
+ * @param {Array} results - Results from evaluateAll
+ * @returns {Object} - e.g. { allow: 10, quarantine: 2, block: 1 }
+ */
+function countActions(results) {
+    return results.reduce((counts, result) => {
+        counts[result.action] = (counts[result.action] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the report rows as CSV
+ * @param {Array} rows - Flat objects, all with the same keys
+ * @param {Array} columns - Keys to write, in order
+ * @returns {string} - CSV text with a header line
+ */
+function toCsv(rows, columns) {
+    return [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
+}
+
+async function main() {
+    const files = collectFiles(options.inputs);
+    const messages = [];
+    files.forEach(file => {
+        try {
+            loadEmails(file).forEach((email, index) => messages.push({ file: index ? `${file}#${index}` : file, email }));
+        } catch (err) {
+            console.error(`Skipping ${file}: ${err.message}`);
+        }
+    });
+    console.error(`Replaying ${messages.length} message(s) from ${files.length} file(s)`);
+
+    const baseline = {};
+    RULE_GROUPS.forEach(name => {
+        baseline[name] = filterConfig[name];
+    });
+    enableResponseCache(); // a second pass with --compare reuses the moderation responses
+
+    applyConfig(baseline, options.config);
+    const before = await evaluateAll(messages);
+
+    let report;
+    let rows;
+    let columns;
+    const describe = (message) => {
+        const sender = parseSender(message.email);
+        return { file: message.file, messageId: message.email.MessageID || null, from: sender.address, subject: message.email.Subject || '' };
+    };
+
+    if (options.compare) {
+        applyConfig(baseline, options.compare);
+        const after = await evaluateAll(messages);
+        const changes = messages
+            .map((message, i) => ({ message, before: before[i], after: after[i] }))
+            .filter(({ before, after }) => before.action !== after.action || before.reason !== after.reason)
+            .map(({ message, before, after }) => ({ ...describe(message), before, after }));
+
+        report = {
+            configs: { before: options.config || 'current', after: options.compare },
+            total: messages.length,
+            changed: changes.length,
+            summary: { before: countActions(before), after: countActions(after) },
+            changes
+        };
+        rows = changes.map(change => ({
+            file: change.file,
+            messageId: change.messageId,
+            from: change.from,
+            subject: change.subject,
+            beforeAction: change.before.action,
+            beforeReason: change.before.reason,
+            afterAction: change.after.action,
+            afterReason: change.after.reason
+        }));
+        columns = ['file', 'messageId', 'from', 'subject', 'beforeAction', 'beforeReason', 'afterAction', 'afterReason'];
+    } else {
+        const verdicts = messages.map((message, i) => ({ ...describe(message), ...before[i] }));
+        report = {
+            config: options.config || 'current',
+            total: messages.length,
+            summary: countActions(before),
+            verdicts
+        };
+        rows = verdicts;
+        columns = ['file', 'messageId', 'from', 'subject', 'action', 'reason', 'ruleGroup'];
+    }
+
+    const output = options.format === 'csv' ? toCsv(rows, columns) : JSON.stringify(report, null, 2) + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Report written to ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main().catch(err => {
+    console.error('Replay failed:', err);
+    process.exit(1);
+});
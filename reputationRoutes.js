@@ -0,0 +1,41 @@
+const express = require('express');
+const { requireAdmin } = require('./adminAuth');
+const { filterConfig } = require('./emailfilter');
+const { getCounters, clearBlock } = require('./senderReputation');
+
+// Admin endpoints for the sender rate limit counters, mounted under /api/reputation
+const router = express.Router();
+router.use(requireAdmin);
+
+// Current counters per key and window, plus active temporary blocks. ?scope=address|domain|ip narrows both.
+router.get('/', (req, res) => {
+    const scope = req.query.scope;
+    if (scope && !['address', 'domain', 'ip'].includes(scope)) {
+        return res.status(400).json({ success: false, error: "scope must be 'address', 'domain' or 'ip'" });
+    }
+    const { counters, blocks } = getCounters(filterConfig.rateLimits);
+    const inScope = item => !scope || item.key.startsWith(`${scope}:`);
+    res.json({
+        success: true,
+        limits: filterConfig.rateLimits.limits,
+        counters: counters.filter(inScope),
+        blocks: blocks.filter(inScope)
+    });
+});
+
+// Lift a temporary block early, e.g. DELETE /api/reputation/blocks/ip:192.0.2.1
+router.delete('/blocks/:key', async (req, res) => {
+    try {
+        const removed = await clearBlock(req.params.key);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'No block for that key' });
+        }
+        console.log(`Admin lifted the block on ${req.params.key}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error lifting sender block:', error);
+        res.status(500).json({ success: false, error: 'Error lifting sender block' });
+    }
+});
+
+module.exports = router;
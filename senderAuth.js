@@ -0,0 +1,187 @@
+/**
+ * Sender authentication checks from the headers the receiving MTA adds:
+ * Authentication-Results (spf/dkim/dmarc), Received-SPF and X-Spam-Score / X-Spam-Status.
+ * Headers are Postmark-style [{ Name, Value }].
+ * Anyone can add an Authentication-Results header before sending, so only one is trusted: the topmost
+ * (our receiving server adds its own on top), or with senderAuth.authservIds the topmost one from those servers.
+ */
+
+const AUTH_ACTIONS = ['block', 'quarantine', 'ignore'];
+const ACTION_SEVERITY = { ignore: 0, quarantine: 1, block: 2 };
+
+/**
+ * All values of a header (case-insensitive), in order
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {string} name - Header name
+ * @returns {Array} - Values
+ */
+function headerValues(headers, name) {
+    return headers
+        .filter(h => String(h.Name).toLowerCase() === name.toLowerCase())
+        .map(h => String(h.Value || ''));
+}
+
+/**
+ * The Authentication-Results header we trust
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {Array} [authservIds] - Receiving servers' authserv-ids; empty to take the topmost header
+ * @returns {string|null} - Header value, or null if there is none we trust
+ */
+function trustedAuthResults(headers, authservIds = []) {
+    const values = headerValues(headers, 'Authentication-Results');
+    if (!authservIds.length) {
+        return values[0] ?? null;
+    }
+    const trusted = authservIds.map(id => id.toLowerCase());
+    // "mx.example.com; spf=pass ..." or "mx.example.com 1; ..." (with a version)
+    return values.find(value => trusted.includes(value.trim().split(/[\s;]/)[0].toLowerCase())) ?? null;
+}
+
+/**
+ * Combine several results for one mechanism (e.g. two DKIM signatures): any pass wins, then any fail
+ * @param {Array} results - Lowercased result words
+ * @returns {string} - Combined result, 'none' if there were none
+ */
+function combineResults(results) {
+    if (!results.length) return 'none';
+    if (results.includes('pass')) return 'pass';
+    if (results.includes('fail')) return 'fail';
+    return results[0];
+}
+
+/**
+ * Parse the authentication headers of a message
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {Array} [authservIds] - filterConfig.senderAuth.authservIds
+ * @returns {Object} - { spf, dkim, dmarc, dmarcFrom, spamScore, spamFlagged }; dmarcFrom is the From domain
+ *   a passing DMARC result was for (header.from), or null
+ */
+function parseAuthHeaders(headers = [], authservIds = []) {
+    const found = { spf: [], dkim: [], dmarc: [] };
+    const authResults = trustedAuthResults(headers, authservIds);
+    if (authResults) {
+        const regex = /\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi;
+        let match;
+        while ((match = regex.exec(authResults)) !== null) {
+            found[match[1].toLowerCase()].push(match[2].toLowerCase());
+        }
+    }
+
+    // Received-SPF: "Pass (mailfrom) identity=mailfrom; ..." - only used if Authentication-Results had no spf,
+    // and only the topmost one, for the same reason
+    if (!found.spf.length) {
+        const word = (headerValues(headers, 'Received-SPF')[0] || '').trim().split(/[\s(;]/)[0].toLowerCase();
+        if (word) found.spf.push(word);
+    }
+
+    // X-Spam-Score: "3.2"; X-Spam-Status: "Yes, score=5.4 required=5.0 ..."
+    const status = headerValues(headers, 'X-Spam-Status')[0] || '';
+    const scoreText = headerValues(headers, 'X-Spam-Score')[0] ?? status.match(/score=(-?[\d.]+)/i)?.[1];
+    const spamScore = scoreText !== undefined && !Number.isNaN(parseFloat(scoreText)) ? parseFloat(scoreText) : null;
+
+    const dmarcFrom = authResults?.match(/\bdmarc\s*=\s*pass\b[^;]*?\bheader\.from\s*=\s*"?([^\s;"]+)/i)?.[1];
+
+    return {
+        spf: combineResults(found.spf),
+        dkim: combineResults(found.dkim),
+        dmarc: combineResults(found.dmarc),
+        dmarcFrom: dmarcFrom ? dmarcFrom.toLowerCase() : null,
+        spamScore,
+        spamFlagged: /^\s*yes\b/i.test(status)
+    };
+}
+
+/**
+ * Apply the senderAuth rule group to a message's headers
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {Object} config - filterConfig.senderAuth
+ * @returns {Object} - { action: 'allow'|'quarantine'|'block', reason, whitelistTrusted, results }
+ */
+function evaluateSenderAuth(headers, config) {
+    const results = parseAuthHeaders(headers, config?.authservIds);
+    if (!config?.enabled) {
+        return { action: 'allow', reason: null, whitelistTrusted: true, results };
+    }
+
+    // Each failing mechanism proposes an action; the most severe one wins
+    const candidates = [];
+    if (results.dkim === 'fail') candidates.push({ action: config.dkimFailAction, reason: 'DKIM_FAILED' });
+    if (results.spf === 'fail') candidates.push({ action: config.spfFailAction, reason: 'SPF_FAILED' });
+    if (results.dmarc === 'fail') candidates.push({ action: config.dmarcFailAction, reason: 'DMARC_FAILED' });
+    const threshold = config.spamScore?.threshold;
+    if (typeof threshold === 'number' && results.spamScore !== null && results.spamScore >= threshold) {
+        candidates.push({ action: config.spamScore.action, reason: 'SPAM_SCORE_EXCEEDED' });
+    }
+
+    const worst = candidates
+        .filter(c => c.action && c.action !== 'ignore')
+        .sort((a, b) => ACTION_SEVERITY[b.action] - ACTION_SEVERITY[a.action])[0];
+
+    return {
+        action: worst ? worst.action : 'allow',
+        reason: worst ? worst.reason : null,
+        // A spoofed From can't use the whitelist: entries only count once DMARC has passed
+        whitelistTrusted: !config.requireDmarcForWhitelist || results.dmarc === 'pass',
+        results
+    };
+}
+
+/**
+ * Validate the senderAuth rule group (used by the admin API)
+ * @param {Object} group - filterConfig.senderAuth
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateSenderAuthConfig(group) {
+    const errors = [];
+    ['enabled', 'requireDmarcForWhitelist'].forEach(key => {
+        if (typeof group[key] !== 'boolean') {
+            errors.push(`${key} must be true or false`);
+        }
+    });
+    if (group.authservIds !== undefined && (!Array.isArray(group.authservIds) || !group.authservIds.every(id => typeof id === 'string' && id.trim()))) {
+        errors.push('authservIds must be an array of server names');
+    }
+    ['dkimFailAction', 'spfFailAction', 'dmarcFailAction'].forEach(key => {
+        if (!AUTH_ACTIONS.includes(group[key])) {
+            errors.push(`${key} must be one of: ${AUTH_ACTIONS.join(', ')}`);
+        }
+    });
+    if (!group.spamScore || typeof group.spamScore !== 'object') {
+        errors.push('spamScore must be an object');
+    } else {
+        if (group.spamScore.threshold !== null && typeof group.spamScore.threshold !== 'number') {
+            errors.push('spamScore.threshold must be null or a number');
+        }
+        if (!AUTH_ACTIONS.includes(group.spamScore.action)) {
+            errors.push(`spamScore.action must be one of: ${AUTH_ACTIONS.join(', ')}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Find the IP address the message was received from.
+ * Only headers our side added are used: the trusted Authentication-Results (see trustedAuthResults), then the
+ * topmost Received. Received-SPF, X-Originating-IP and lower headers can be written by the sender.
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {Array} [authservIds] - filterConfig.senderAuth.authservIds
+ * @returns {string|null} - The IP, or null if neither header names one
+ */
+function extractSendingIp(headers = [], authservIds = []) {
+    const ipPattern = '(\\d{1,3}(?:\\.\\d{1,3}){3}|[0-9a-f]*:[0-9a-f:.]+)';
+    const authResults = trustedAuthResults(headers, authservIds);
+    const candidates = [
+        authResults && authResults.match(new RegExp(`(?:sender IP is|smtp\\.remote-ip=|client-ip=)\\s*${ipPattern}`, 'i')),
+        // Received: from mail.example.com (mail.example.com [192.0.2.1]) by ... - the first one is the newest hop
+        ...headerValues(headers, 'Received').slice(0, 1).map(value => value.match(new RegExp(`\\[${ipPattern}\\]`, 'i')))
+    ];
+    const match = candidates.find(Boolean);
+    return match ? match[1].toLowerCase() : null;
+}
+
+module.exports = {
+    parseAuthHeaders,
+    extractSendingIp,
+    evaluateSenderAuth,
+    validateSenderAuthConfig
+};
@@ -0,0 +1,324 @@
+const path = require('path');
+const fetch = require('node-fetch');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { parseSender } = require('./addressParser');
+const { parseAuthHeaders } = require('./senderAuth');
+
+/**
+ * Sender notifications: a short templated email, sent through Postmark's outbound API, telling the sender
+ * their message was held or rejected. Settings are in filterConfig.notifications.
+ * Templates are picked by reason code, then by action ('block' / 'quarantine'). They only ever get generic
+ * placeholders, never the list entry, score or rule that matched:
+ *   {{subject}}    - the sender's own subject line (one line, max 100 characters)
+ *   {{receivedAt}} - when we received it
+ *   {{reason}}     - a generic phrase for the deciding rule group (see REASON_TEXT)
+ *   {{reference}}  - the quarantine id or Message-ID, for the sender to quote
+ * No notification is sent to auto-generated mail (Auto-Submitted, Precedence: bulk/list/junk, List-Id,
+ * X-Auto-Response-Suppress, empty Return-Path), to no-reply style addresses, or, when requireSenderAuth is
+ * set, to senders without a DMARC pass for their own From domain in our receiving server's
+ * Authentication-Results (replying to a spoofed From is backscatter; SPF alone only covers the envelope).
+ * Each address gets at most one notification per minIntervalHours, and at most maxPerHour go out in total.
+ * Our own notifications carry "Auto-Submitted: auto-replied" so other systems don't answer them.
+ */
+
+const NOTIFICATIONS_PATH = process.env.NOTIFICATIONS_PATH || path.join(__dirname, 'data', 'notifications.json');
+const POSTMARK_API_URL = process.env.POSTMARK_API_URL || 'https://api.postmarkapp.com/email';
+
+const ACTIONS = ['block', 'quarantine'];
+const MAX_SUBJECT = 100;
+
+// Local parts that never read replies
+const NO_REPLY_PATTERN = /^(no-?reply|do-?not-?reply|noreply|mailer-daemon|postmaster|bounces?|notifications?)([+._-]|$)/i;
+
+// What the sender is told, per deciding rule group: enough to act on, nothing an attacker can tune against
+const REASON_TEXT = {
+    length: 'its length is outside what this address accepts',
+    attachments: 'it contains attachments this address does not accept',
+    moderation: 'its content did not pass our content review',
+    senderAuth: 'we could not verify that it came from your domain',
+    links: 'it contains links we could not verify as safe',
+    domains: 'messages from your address are not accepted here',
+    usernames: 'messages from your address are not accepted here',
+    rateLimits: 'too many messages were received from your address',
+    classification: 'it does not match what this address accepts',
+    quarantine: 'it needs a manual review'
+};
+const DEFAULT_REASON_TEXT = "it did not meet this mailbox's delivery policy";
+
+// address -> ISO time of the last notification; plus a log of recent sends for the hourly cap and the admin API
+let state = readJsonFile(NOTIFICATIONS_PATH, { lastSent: {}, recent: [] });
+const save = createJsonWriter(NOTIFICATIONS_PATH, 'notification log');
+
+/**
+ * Save the notification log
+ * @returns {Promise<void>}
+ */
+function persist() {
+    return save({ lastSent: { ...state.lastSent }, recent: state.recent.slice() });
+}
+
+/**
+ * Drop per-address entries older than the interval and sends older than an hour
+ * @param {number} intervalMs - minIntervalHours in ms
+ */
+function pruneState(intervalMs) {
+    const now = Date.now();
+    Object.entries(state.lastSent).forEach(([address, sentAt]) => {
+        if (now - Date.parse(sentAt) >= intervalMs) delete state.lastSent[address];
+    });
+    state.recent = state.recent.filter(entry => now - Date.parse(entry.sentAt) < 60 * 60 * 1000);
+}
+
+/**
+ * Look up a header value (case-insensitive)
+ * @param {Array} headers - [{ Name, Value }]
+ * @param {string} name - Header name
+ * @returns {string|undefined} - First value
+ */
+function findHeader(headers, name) {
+    return headers.find(h => String(h.Name).toLowerCase() === name.toLowerCase())?.Value;
+}
+
+/**
+ * Check the headers for signs that a machine sent the message (RFC 3834 and common conventions)
+ * @param {Array} headers - [{ Name, Value }]
+ * @returns {string|null} - The header that gave it away, or null
+ */
+function findAutoGeneratedHeader(headers) {
+    const autoSubmitted = findHeader(headers, 'Auto-Submitted');
+    if (autoSubmitted && autoSubmitted.trim().toLowerCase() !== 'no') return 'Auto-Submitted';
+    if (/^\s*(bulk|list|junk)\b/i.test(findHeader(headers, 'Precedence') || '')) return 'Precedence';
+    if (findHeader(headers, 'List-Id') || findHeader(headers, 'List-Unsubscribe')) return 'List-Id';
+    if (/\b(all|autoreply|oof)\b/i.test(findHeader(headers, 'X-Auto-Response-Suppress') || '')) return 'X-Auto-Response-Suppress';
+    if ((findHeader(headers, 'Return-Path') || '').trim() === '<>') return 'Return-Path';
+    return null;
+}
+
+/**
+ * Pick the template for a decision: reason code first, then action
+ * @param {Object} config - filterConfig.notifications
+ * @param {Object} decision - Verdict decision
+ * @returns {Object|null} - { subject, text }, or null if that reason is turned off
+ */
+function pickTemplate(config, decision) {
+    const byReason = config.templates.reasons?.[decision.reason];
+    if (byReason !== undefined) return byReason; // null turns notifications off for that reason
+    return config.templates[decision.action] || null;
+}
+
+/**
+ * Fill in a template's placeholders; unknown placeholders are left empty
+ * @param {string} template - Text with {{placeholders}}
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Filled-in text
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] ?? ''));
+}
+
+/**
+ * Decide whether a notification may be sent, without sending it
+ * @param {Object} emailData - Email in the internal shape
+ * @param {Object} verdict - Result of evaluateEmail
+ * @param {Object} config - filterConfig.notifications
+ * @param {Array} [authservIds] - filterConfig.senderAuth.authservIds, to find the trusted Authentication-Results
+ * @returns {Object} - { send: true, address, template } or { send: false, skipped: reason code }
+ */
+function checkNotification(emailData, verdict, config, authservIds = []) {
+    const decision = verdict.decision;
+    if (!config?.enabled) return { send: false, skipped: 'disabled' };
+    if (!config.actions.includes(decision.action)) return { send: false, skipped: 'action' };
+    if ((config.skipReasons || []).includes(decision.reason)) return { send: false, skipped: 'reason' };
+
+    const template = pickTemplate(config, decision);
+    if (!template) return { send: false, skipped: 'noTemplate' };
+
+    const headers = emailData.Headers || [];
+    const autoHeader = findAutoGeneratedHeader(headers);
+    if (autoHeader) return { send: false, skipped: 'autoGenerated', detail: autoHeader };
+
+    const sender = parseSender(emailData);
+    if (!sender.domain) return { send: false, skipped: 'noAddress' };
+    const noReply = NO_REPLY_PATTERN.test(sender.localPart)
+        || (config.noReplyPatterns || []).some(pattern => new RegExp(pattern, 'i').test(sender.address));
+    if (noReply) return { send: false, skipped: 'noReplyAddress' };
+
+    if (config.requireSenderAuth) {
+        const auth = parseAuthHeaders(headers, authservIds);
+        const aligned = auth.dmarc === 'pass' && auth.dmarcFrom
+            && (sender.domain === auth.dmarcFrom || sender.domain.endsWith(`.${auth.dmarcFrom}`));
+        if (!aligned) return { send: false, skipped: 'unauthenticatedSender' };
+    }
+
+    pruneState(config.minIntervalHours * 60 * 60 * 1000);
+    if (state.lastSent[sender.address]) return { send: false, skipped: 'rateLimited' };
+    if (state.recent.length >= config.maxPerHour) return { send: false, skipped: 'hourlyLimit' };
+
+    return { send: true, address: sender.address, template };
+}
+
+/**
+ * Tell the sender their message was held or rejected, if the settings and safety checks allow it
+ * @param {Object} emailData - Email in the internal shape
+ * @param {Object} verdict - Result of evaluateEmail
+ * @param {Object} config - filterConfig.notifications (of the email's tenant)
+ * @param {Object} [meta] - { quarantineId, authservIds }
+ * @returns {Promise<Object>} - { sent: true, to } or { sent: false, skipped } / { sent: false, error }
+ */
+async function notifySender(emailData, verdict, config, meta = {}) {
+    const check = checkNotification(emailData, verdict, config, meta.authservIds);
+    if (!check.send) {
+        if (check.skipped !== 'disabled' && check.skipped !== 'action') {
+            console.log(`Not notifying sender: ${check.skipped}${check.detail ? ` (${check.detail})` : ''}`);
+        }
+        return { sent: false, skipped: check.skipped };
+    }
+    const token = process.env.POSTMARK_SERVER_TOKEN;
+    if (!token || !config.from) {
+        console.error('Sender notifications are enabled but POSTMARK_SERVER_TOKEN or notifications.from is not set');
+        return { sent: false, skipped: 'notConfigured' };
+    }
+
+    const values = {
+        subject: String(emailData.Subject || '(no subject)').replace(/[\r\n]+/g, ' ').slice(0, MAX_SUBJECT),
+        receivedAt: new Date().toUTCString(),
+        reason: REASON_TEXT[verdict.decision.ruleGroup] || DEFAULT_REASON_TEXT,
+        reference: meta.quarantineId || emailData.MessageID || ''
+    };
+    const messageId = emailData.MessageID ? `<${String(emailData.MessageID).replace(/^<|>$/g, '')}>` : null;
+
+    // Claim the address before sending, so two emails processed at the same time can't both notify it
+    const sentAt = new Date().toISOString();
+    const logEntry = { to: check.address, reason: verdict.decision.reason, action: verdict.decision.action, sentAt };
+    state.lastSent[check.address] = sentAt;
+    state.recent.push(logEntry);
+
+    try {
+        const response = await fetch(POSTMARK_API_URL, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'X-Postmark-Server-Token': token
+            },
+            body: JSON.stringify({
+                From: config.from,
+                To: check.address,
+                Subject: renderTemplate(check.template.subject, values),
+                TextBody: renderTemplate(check.template.text, values),
+                MessageStream: config.messageStream,
+                Headers: [
+                    { Name: 'Auto-Submitted', Value: 'auto-replied' },
+                    { Name: 'X-Auto-Response-Suppress', Value: 'All' },
+                    ...(messageId ? [{ Name: 'In-Reply-To', Value: messageId }, { Name: 'References', Value: messageId }] : [])
+                ]
+            }),
+            timeout: 15000
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || (result.ErrorCode && result.ErrorCode !== 0)) {
+            throw new Error(`Postmark error ${result.ErrorCode ?? response.status}: ${result.Message || response.statusText}`);
+        }
+        await persist();
+        console.log(`Notified ${check.address} (${verdict.decision.reason})`);
+        return { sent: true, to: check.address };
+    } catch (error) {
+        // Not sent, so it doesn't count against the limits
+        delete state.lastSent[check.address];
+        state.recent = state.recent.filter(entry => entry !== logEntry);
+        console.error('Error sending sender notification:', error.message);
+        return { sent: false, error: error.message };
+    }
+}
+
+/**
+ * Notifications sent in the last hour, newest first (for the admin API)
+ * @returns {Array} - [{ to, reason, action, sentAt }]
+ */
+function listRecentNotifications() {
+    return state.recent.slice().reverse();
+}
+
+/**
+ * Validate a template ({ subject, text }) or null
+ * @param {*} template - Template value
+ * @param {string} name - Field name used in the error message
+ * @param {Array} errors - Error messages are appended here
+ */
+function validateTemplate(template, name, errors) {
+    if (template === null) return;
+    if (!template || typeof template.subject !== 'string' || !template.subject || typeof template.text !== 'string' || !template.text) {
+        errors.push(`${name} must be null or { subject, text } with non-empty strings`);
+    }
+}
+
+/**
+ * Validate the notifications rule group (used by the admin API)
+ * @param {Object} group - filterConfig.notifications
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateNotificationsConfig(group) {
+    const errors = [];
+    if (typeof group.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (group.from !== null && (typeof group.from !== 'string' || !group.from.includes('@'))) {
+        errors.push('from must be null or an email address');
+    }
+    if (group.enabled && !group.from) {
+        errors.push('from is required when notifications are enabled');
+    }
+    if (typeof group.messageStream !== 'string' || !group.messageStream) {
+        errors.push('messageStream must be a non-empty string');
+    }
+    if (!Array.isArray(group.actions) || !group.actions.every(action => ACTIONS.includes(action))) {
+        errors.push(`actions must be an array of: ${ACTIONS.join(', ')}`);
+    }
+    if (typeof group.requireSenderAuth !== 'boolean') {
+        errors.push('requireSenderAuth must be true or false');
+    }
+    if (typeof group.minIntervalHours !== 'number' || group.minIntervalHours <= 0) {
+        errors.push('minIntervalHours must be a positive number');
+    }
+    if (!Number.isInteger(group.maxPerHour) || group.maxPerHour < 0) {
+        errors.push('maxPerHour must be a non-negative integer');
+    }
+    if (group.skipReasons !== undefined && (!Array.isArray(group.skipReasons) || !group.skipReasons.every(reason => typeof reason === 'string'))) {
+        errors.push('skipReasons must be an array of reason codes');
+    }
+    if (group.noReplyPatterns !== undefined) {
+        if (!Array.isArray(group.noReplyPatterns)) {
+            errors.push('noReplyPatterns must be an array of regexes');
+        } else {
+            group.noReplyPatterns.forEach((pattern, i) => {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (err) {
+                    errors.push(`noReplyPatterns[${i}] is not a valid regex: ${err.message}`);
+                }
+            });
+        }
+    }
+
+    const templates = group.templates;
+    if (!templates || typeof templates !== 'object') {
+        errors.push('templates must be an object');
+        return errors;
+    }
+    ACTIONS.forEach(action => validateTemplate(templates[action] ?? null, `templates.${action}`, errors));
+    if (templates.reasons !== undefined) {
+        if (!templates.reasons || typeof templates.reasons !== 'object' || Array.isArray(templates.reasons)) {
+            errors.push('templates.reasons must be an object of reason code -> template');
+        } else {
+            Object.entries(templates.reasons).forEach(([reason, template]) => validateTemplate(template, `templates.reasons.${reason}`, errors));
+        }
+    }
+    return errors;
+}
+
+module.exports = {
+    checkNotification,
+    notifySender,
+    listRecentNotifications,
+    validateNotificationsConfig
+};
@@ -0,0 +1,261 @@
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { parseSender } = require('./addressParser');
+const { extractSendingIp } = require('./senderAuth');
+
+/**
+ * Sender reputation: message volume per sender address, domain and sending IP over sliding windows.
+ * Checked before anything else runs, so a burst never reaches moderation or the Sheets write.
+ * Limits come from filterConfig.rateLimits; when one is exceeded its action applies:
+ *   'throttle'   - answer 429 so the sender's service retries later (the message isn't counted)
+ *   'quarantine' - skip moderation and hold the message for review
+ *   'blacklist'  - block this and every later message from the key for blacklistMinutes
+ * Counters live in memory; temporary blocks are kept on disk so a restart doesn't lift them.
+ */
+
+const REPUTATION_PATH = process.env.REPUTATION_PATH || path.join(__dirname, 'data', 'sender-blocks.json');
+
+const SCOPES = ['address', 'domain', 'ip'];
+const LIMIT_ACTIONS = ['throttle', 'quarantine', 'blacklist'];
+const ACTION_SEVERITY = { throttle: 1, quarantine: 2, blacklist: 3 };
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// 'address:bob@example.com' -> timestamps (ms) of recent messages, oldest first
+const windows = new Map();
+// key -> { until, blockedAt, limit }
+let blocks = readJsonFile(REPUTATION_PATH, {});
+const save = createJsonWriter(REPUTATION_PATH, 'sender blocks');
+let lastSweep = Date.now();
+
+/**
+ * Save the temporary blocks
+ * @returns {Promise<void>}
+ */
+function persist() {
+    return save({ ...blocks });
+}
+
+/**
+ * The keys a message is counted under
+ * @param {Object} emailData - Email in the internal shape
+ * @param {Array} [authservIds] - filterConfig.senderAuth.authservIds, to find the trusted Authentication-Results
+ * @returns {Object} - { address, domain, ip } keys such as 'domain:example.com'; missing parts are null
+ */
+function identify(emailData, authservIds) {
+    const sender = parseSender(emailData);
+    const ip = extractSendingIp(emailData.Headers || [], authservIds);
+    return {
+        address: sender.address ? `address:${sender.address}` : null,
+        domain: sender.domain ? `domain:${sender.domain}` : null,
+        ip: ip ? `ip:${ip}` : null
+    };
+}
+
+/**
+ * Messages counted for a key within the last windowMs
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time in ms
+ * @returns {number} - Count
+ */
+function countInWindow(key, windowMs, now) {
+    const timestamps = windows.get(key) || [];
+    let count = 0;
+    for (let i = timestamps.length - 1; i >= 0 && timestamps[i] > now - windowMs; i--) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Drop timestamps older than the longest window, and keys with none left
+ * @param {number} maxWindowMs - Longest configured window
+ * @param {number} now - Current time in ms
+ */
+function sweep(maxWindowMs, now) {
+    windows.forEach((timestamps, key) => {
+        const kept = timestamps.filter(t => t > now - maxWindowMs);
+        if (kept.length) {
+            windows.set(key, kept);
+        } else {
+            windows.delete(key);
+        }
+    });
+    let changed = false;
+    Object.keys(blocks).forEach(key => {
+        if (Date.parse(blocks[key].until) <= now) {
+            delete blocks[key];
+            changed = true;
+        }
+    });
+    if (changed) persist();
+    lastSweep = now;
+}
+
+/**
+ * Count a message against the rate limits and decide what to do with it
+ * @param {Object} emailData - Email in the internal shape
+ * @param {Object} config - filterConfig.rateLimits
+ * @param {Array} [authservIds] - filterConfig.senderAuth.authservIds (the sending IP comes from trusted headers only)
+ * @returns {Object} - { action: 'allow'|'throttle'|'quarantine'|'block', reason, key, limit, retryAfter, counts }
+ */
+function checkRateLimits(emailData, config, authservIds = []) {
+    const allow = { action: 'allow', reason: null, key: null, limit: null, retryAfter: null, counts: {} };
+    if (!config?.enabled) {
+        return allow;
+    }
+
+    const now = Date.now();
+    const limits = config.limits || [];
+    const maxWindowMs = Math.max(0, ...limits.map(limit => limit.windowSeconds * 1000));
+    if (now - lastSweep > SWEEP_INTERVAL_MS) {
+        sweep(maxWindowMs, now);
+    }
+
+    const keys = identify(emailData, authservIds);
+
+    // An active temporary block wins; the message isn't counted
+    const blockedKey = Object.values(keys).find(key => key && blocks[key] && Date.parse(blocks[key].until) > now);
+    if (blockedKey) {
+        return {
+            ...allow,
+            action: 'block',
+            reason: 'SENDER_TEMPORARILY_BLOCKED',
+            key: blockedKey,
+            limit: blocks[blockedKey].limit,
+            retryAfter: Math.ceil((Date.parse(blocks[blockedKey].until) - now) / 1000)
+        };
+    }
+
+    // Find the most severe limit this message would exceed
+    const counts = {};
+    let exceeded = null;
+    limits.forEach(limit => {
+        const key = keys[limit.scope];
+        if (!key) return;
+        const count = countInWindow(key, limit.windowSeconds * 1000, now) + 1; // including this message
+        counts[`${key}/${limit.windowSeconds}s`] = count;
+        if (count > limit.maxMessages && (!exceeded || ACTION_SEVERITY[limit.action] > ACTION_SEVERITY[exceeded.limit.action])) {
+            exceeded = { key, limit };
+        }
+    });
+
+    if (exceeded?.limit.action === 'throttle') {
+        // Not counted, so the sender gets through again once the window has room
+        return {
+            ...allow,
+            action: 'throttle',
+            reason: 'RATE_LIMIT_THROTTLED',
+            key: exceeded.key,
+            limit: exceeded.limit,
+            retryAfter: exceeded.limit.windowSeconds,
+            counts
+        };
+    }
+
+    Object.values(keys).filter(Boolean).forEach(key => {
+        if (!windows.has(key)) windows.set(key, []);
+        windows.get(key).push(now);
+    });
+
+    if (!exceeded) {
+        return { ...allow, counts };
+    }
+    if (exceeded.limit.action === 'blacklist') {
+        const minutes = exceeded.limit.blacklistMinutes || 60;
+        blocks[exceeded.key] = {
+            until: new Date(now + minutes * 60 * 1000).toISOString(),
+            blockedAt: new Date(now).toISOString(),
+            limit: exceeded.limit
+        };
+        persist();
+        console.warn(`Rate limit: ${exceeded.key} blocked for ${minutes} minutes`);
+        return { ...allow, action: 'block', reason: 'RATE_LIMIT_BLACKLISTED', key: exceeded.key, limit: exceeded.limit, retryAfter: minutes * 60, counts };
+    }
+    console.warn(`Rate limit: ${exceeded.key} exceeded ${exceeded.limit.maxMessages} per ${exceeded.limit.windowSeconds}s, quarantining`);
+    return { ...allow, action: 'quarantine', reason: 'RATE_LIMIT_EXCEEDED', key: exceeded.key, limit: exceeded.limit, counts };
+}
+
+/**
+ * Current counters for the API
+ * @param {Object} config - filterConfig.rateLimits
+ * @returns {Object} - { counters: [{ key, windows: { '60s': n, ... } }], blocks: [{ key, until, blockedAt, limit }] }
+ */
+function getCounters(config) {
+    const now = Date.now();
+    const windowSeconds = [...new Set((config?.limits || []).map(limit => limit.windowSeconds))].sort((a, b) => a - b);
+    const counters = [];
+    windows.forEach((timestamps, key) => {
+        const counts = {};
+        windowSeconds.forEach(seconds => {
+            counts[`${seconds}s`] = countInWindow(key, seconds * 1000, now);
+        });
+        if (Object.values(counts).some(Boolean)) {
+            counters.push({ key, windows: counts });
+        }
+    });
+    const activeBlocks = Object.entries(blocks)
+        .filter(([, block]) => Date.parse(block.until) > now)
+        .map(([key, block]) => ({ key, ...block }));
+    return { counters, blocks: activeBlocks };
+}
+
+/**
+ * Lift a temporary block early
+ * @param {string} key - Key such as 'domain:example.com'
+ * @returns {Promise<boolean>} - True if the key was blocked
+ */
+async function clearBlock(key) {
+    if (!blocks[key]) {
+        return false;
+    }
+    delete blocks[key];
+    await persist();
+    return true;
+}
+
+/**
+ * Validate the rateLimits rule group (used by the admin API)
+ * @param {Object} group - filterConfig.rateLimits
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateRateLimitsConfig(group) {
+    const errors = [];
+    if (typeof group.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (!Array.isArray(group.limits)) {
+        errors.push('limits must be an array');
+        return errors;
+    }
+    group.limits.forEach((limit, i) => {
+        if (!limit || typeof limit !== 'object') {
+            errors.push(`limits[${i}] must be an object`);
+            return;
+        }
+        if (!SCOPES.includes(limit.scope)) {
+            errors.push(`limits[${i}].scope must be one of: ${SCOPES.join(', ')}`);
+        }
+        if (!Number.isInteger(limit.windowSeconds) || limit.windowSeconds <= 0) {
+            errors.push(`limits[${i}].windowSeconds must be a positive integer`);
+        }
+        if (!Number.isInteger(limit.maxMessages) || limit.maxMessages < 0) {
+            errors.push(`limits[${i}].maxMessages must be a non-negative integer`);
+        }
+        if (!LIMIT_ACTIONS.includes(limit.action)) {
+            errors.push(`limits[${i}].action must be one of: ${LIMIT_ACTIONS.join(', ')}`);
+        }
+        if (limit.blacklistMinutes !== undefined && (!Number.isInteger(limit.blacklistMinutes) || limit.blacklistMinutes <= 0)) {
+            errors.push(`limits[${i}].blacklistMinutes must be a positive integer`);
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    identify,
+    checkRateLimits,
+    getCounters,
+    clearBlock,
+    validateRateLimitsConfig
+};
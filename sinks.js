@@ -0,0 +1,493 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { readJsonFile } = require('./fileStore');
+const { registerDestination, enqueue } = require('./outbox');
+const { STRICT_POLICY, redactValue } = require('./redaction');
+const { parseSender } = require('./addressParser');
+
+/**
+ * Output sinks: where each evaluated email is written (Google Sheets, a JSON webhook, a JSONL file, SQLite).
+ * Sinks come from SINKS_CONFIG_PATH (default config/sinks.json), or the SINKS env var (same JSON),
+ * or, with neither, from the older env vars GOOGLE_SCRIPT_URL / CRUD_SERVER_URL / SINK_JSONL_PATH / SINK_SQLITE_PATH.
+ *
+ * A sink looks like:
+ *   { "name": "sheets", "type": "googleSheets", "url": "...", "mapping": "sheetsRow",
+ *     "actions": ["allow", "quarantine", "block"], "redaction": "sheets", "enabled": true }
+ * - actions: which verdicts it receives (e.g. ["block"] for blocked mail only); all by default
+ * - redaction: name of a policy in filterConfig.redaction; defaults to the sink name. A sink without a policy
+ *   gets STRICT_POLICY (everything redacted), so nothing leaves unredacted because of a missing entry.
+ * - mapping: a preset name (see MAPPING_PRESETS) or { "columns": [field, ...] } for Sheets rows,
+ *   { "fields": { "name": field, ... } } for everything else. A field is a path into the record
+ *   (see buildRecord) such as "email.Subject" or "verdict.decision.reason", or
+ *   { "path": "...", "default": "N/A" }.
+ * Every sink is an outbox destination of the same name, so failed writes are retried (see outbox.js).
+ */
+
+const SINKS_CONFIG_PATH = process.env.SINKS_CONFIG_PATH || path.join(__dirname, 'config', 'sinks.json');
+
+const SINK_TYPES = ['googleSheets', 'webhook', 'jsonl', 'sqlite'];
+const ACTIONS = ['allow', 'quarantine', 'block'];
+const SHEETS_CELL_LIMIT = 50000; // Google Sheets cell limit
+
+// Built-in mappings; a sink's "mapping" can name one of these instead of spelling out its own
+const MAPPING_PRESETS = {
+    // The Apps Script row layout the sheet has always used (14 columns)
+    sheetsRow: {
+        columns: [
+            'receivedAt',
+            { path: 'email.From', default: 'N/A' },
+            { path: 'email.Subject', default: 'N/A' },
+            { path: 'email.TextBody', default: 'N/A' },
+            'derived.hasHtml',
+            'derived.attachmentCount',
+            'derived.categoryScores',
+            'original',
+            'derived.originalTooLong',
+            'derived.combined',
+            'verdict.isAllowed',
+            'verdict.decision.reason',
+            'verdict.decision.ruleGroup',
+            'derived.flaggedLinks'
+        ]
+    },
+    // What the CRUD server has always received
+    combined: {
+        fields: {
+            postmarkJSON: 'original',
+            moderationResults: 'verdict.moderation',
+            decision: 'verdict.decision',
+            links: 'verdict.links',
+            classification: 'verdict.classification',
+            timestamp: 'timestamp'
+        }
+    },
+    // One flat record per email, for JSONL and SQLite
+    summary: {
+        fields: {
+            timestamp: 'timestamp',
+            messageId: 'email.MessageID',
+            from: 'email.From',
+            to: 'email.To',
+            subject: 'email.Subject',
+            allowed: 'verdict.isAllowed',
+            action: 'verdict.decision.action',
+            reason: 'verdict.decision.reason',
+            ruleGroup: 'verdict.decision.ruleGroup',
+            moderationAction: 'verdict.moderation.action',
+            category: 'verdict.classification.category',
+            tags: 'verdict.classification.tags',
+            flaggedLinks: 'derived.flaggedLinks'
+        }
+    }
+};
+
+let sinks = [];
+let configuredNames = []; // valid sinks, disabled ones included
+const warnedNoPolicy = new Set();
+
+/**
+ * Read the sink definitions from the config file, the SINKS env var or the legacy env vars
+ * @returns {Array} - Raw sink definitions
+ */
+function readSinkDefinitions() {
+    const fromFile = readJsonFile(SINKS_CONFIG_PATH, null);
+    if (fromFile) {
+        return Array.isArray(fromFile) ? fromFile : fromFile.sinks || [];
+    }
+    if (process.env.SINKS) {
+        try {
+            const parsed = JSON.parse(process.env.SINKS);
+            return Array.isArray(parsed) ? parsed : parsed.sinks || [];
+        } catch (err) {
+            console.error('SINKS is not valid JSON, ignoring it:', err.message);
+        }
+    }
+
+    const definitions = [];
+    if (process.env.GOOGLE_SCRIPT_URL) {
+        definitions.push({ name: 'sheets', type: 'googleSheets', url: process.env.GOOGLE_SCRIPT_URL, mapping: 'sheetsRow' });
+    }
+    if (process.env.CRUD_SERVER_URL) {
+        definitions.push({ name: 'crud', type: 'webhook', url: process.env.CRUD_SERVER_URL, mapping: 'combined' });
+    }
+    if (process.env.SINK_JSONL_PATH) {
+        definitions.push({ name: 'jsonl', type: 'jsonl', path: process.env.SINK_JSONL_PATH, mapping: 'summary' });
+    }
+    if (process.env.SINK_SQLITE_PATH) {
+        definitions.push({ name: 'sqlite', type: 'sqlite', path: process.env.SINK_SQLITE_PATH, mapping: 'summary' });
+    }
+    return definitions;
+}
+
+/**
+ * Check one field spec of a mapping
+ * @param {*} spec - Path string or { path, default }
+ * @returns {boolean} - True if usable
+ */
+function isValidField(spec) {
+    if (typeof spec === 'string') return Boolean(spec);
+    return Boolean(spec) && typeof spec === 'object' && typeof spec.path === 'string' && Boolean(spec.path);
+}
+
+/**
+ * Validate a sink definition
+ * @param {Object} sink - Sink definition
+ * @param {Object} [redactionConfig] - filterConfig.redaction, to check the sink's redaction policy name
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateSink(sink, redactionConfig = {}) {
+    const errors = [];
+    if (!sink || typeof sink !== 'object') {
+        return ['sink must be an object'];
+    }
+    if (typeof sink.name !== 'string' || !/^[\w-]+$/.test(sink.name)) {
+        errors.push('name must be letters, digits, _ or -');
+    }
+    if (!SINK_TYPES.includes(sink.type)) {
+        errors.push(`type must be one of: ${SINK_TYPES.join(', ')}`);
+    }
+    if (['googleSheets', 'webhook'].includes(sink.type) && typeof sink.url !== 'string') {
+        errors.push('url is required');
+    }
+    if (['jsonl', 'sqlite'].includes(sink.type) && typeof sink.path !== 'string') {
+        errors.push('path is required');
+    }
+    if (sink.table !== undefined && !/^[A-Za-z_]\w*$/.test(sink.table)) {
+        errors.push('table must be a plain identifier');
+    }
+    if (sink.redaction !== undefined && (typeof sink.redaction !== 'string' || !redactionConfig[sink.redaction])) {
+        errors.push(`redaction must name a policy in filterConfig.redaction (one of: ${Object.keys(redactionConfig).join(', ')})`);
+    }
+    if (sink.actions !== undefined && (!Array.isArray(sink.actions) || !sink.actions.every(action => ACTIONS.includes(action)))) {
+        errors.push(`actions must be an array of: ${ACTIONS.join(', ')}`);
+    }
+
+    const mapping = typeof sink.mapping === 'string' ? MAPPING_PRESETS[sink.mapping] : sink.mapping;
+    if (!mapping) {
+        errors.push(`mapping must be one of: ${Object.keys(MAPPING_PRESETS).join(', ')}, or { columns } / { fields }`);
+    } else if (sink.type === 'googleSheets') {
+        if (!Array.isArray(mapping.columns) || !mapping.columns.every(isValidField)) {
+            errors.push('mapping for a googleSheets sink must have columns: [field, ...]');
+        }
+    } else if (!mapping.fields || typeof mapping.fields !== 'object' || !Object.values(mapping.fields).every(isValidField)) {
+        errors.push('mapping must have fields: { name: field, ... }');
+    } else if (sink.type === 'sqlite' && !Object.keys(mapping.fields).every(name => /^[A-Za-z_]\w*$/.test(name))) {
+        errors.push('field names of a sqlite sink must be plain identifiers');
+    }
+    return errors;
+}
+
+/**
+ * Load the sinks and register each as an outbox destination.
+ * Invalid or disabled sinks are skipped with a message so one typo can't stop the others.
+ * @param {Object} [redactionConfig] - filterConfig.redaction, to check the sinks' redaction policy names
+ * @returns {Array} - The loaded sinks
+ */
+function loadSinks(redactionConfig) {
+    const loaded = [];
+    const configured = [];
+    readSinkDefinitions().forEach((definition, i) => {
+        const errors = validateSink(definition, redactionConfig);
+        if (errors.length) {
+            console.error(`Ignoring invalid sink #${i} (${definition?.name || 'unnamed'}):`, errors);
+            return;
+        }
+        configured.push(definition.name);
+        if (definition.enabled === false) return;
+        if (loaded.some(sink => sink.name === definition.name)) {
+            console.error(`Ignoring duplicate sink name '${definition.name}'`);
+            return;
+        }
+        const sink = {
+            ...definition,
+            actions: definition.actions || ACTIONS,
+            mapping: typeof definition.mapping === 'string' ? MAPPING_PRESETS[definition.mapping] : definition.mapping
+        };
+        registerDestination(sink.name, (payload) => deliverers[sink.type](sink, payload));
+        loaded.push(sink);
+    });
+
+    sinks = loaded;
+    configuredNames = configured;
+    if (!sinks.length) {
+        console.error('No output sinks configured (config/sinks.json, SINKS or GOOGLE_SCRIPT_URL / CRUD_SERVER_URL), results are not saved anywhere');
+    } else {
+        console.log(`Output sinks: ${sinks.map(sink => `${sink.name} (${sink.type})`).join(', ')}`);
+    }
+    return sinks;
+}
+
+/**
+ * The loaded sinks, without secrets, for the admin API
+ * @returns {Array} - [{ name, type, actions, redaction, target }]
+ */
+function describeSinks() {
+    return sinks.map(sink => ({
+        name: sink.name,
+        type: sink.type,
+        actions: sink.actions,
+        redaction: sink.redaction || sink.name,
+        target: sink.url ? new URL(sink.url).host : sink.path
+    }));
+}
+
+/**
+ * Names of the loaded sinks
+ * @returns {Array} - Sink names
+ */
+function getSinkNames() {
+    return sinks.map(sink => sink.name);
+}
+
+/**
+ * Whether a sink of that name is configured (disabled sinks count: their verdicts are dropped on purpose)
+ * @param {string} name - Sink name
+ * @returns {boolean} - True if it is
+ */
+function isConfiguredSink(name) {
+    return configuredNames.includes(name);
+}
+
+/**
+ * The loaded sinks with the given names (e.g. one tenant's, see tenants.js)
+ * @param {Array} names - Sink names; unknown names are skipped
+ * @returns {Array} - Loaded sinks
+ */
+function getSinks(names) {
+    return sinks.filter(sink => names.includes(sink.name));
+}
+
+/**
+ * Everything a mapping can refer to, for one email and one sink (already redacted for that sink)
+ * @param {Object} data - { processed, original, verdict }
+ * @param {Object} policy - Redaction policy for the sink (see policyFor)
+ * @returns {Object} - { timestamp, receivedAt, email, original, verdict, derived }
+ */
+function buildRecord({ processed, original, verdict }, policy) {
+    const moderation = verdict.moderation;
+    const senderAddress = parseSender(processed).address;
+    const base = redactValue({
+        email: processed,
+        original,
+        verdict: {
+            isAllowed: verdict.isAllowed,
+            decision: verdict.decision,
+            moderation: {
+                text: moderation.text,
+                images: moderation.images,
+                action: moderation.action,
+                violations: moderation.violations,
+                overallPassed: moderation.overallPassed,
+                unavailable: Boolean(moderation.unavailable),
+                summary: moderation.summary
+            },
+            links: verdict.links,
+            attachments: verdict.attachments,
+            classification: verdict.classification || null
+        }
+    }, policy, senderAddress);
+
+    const now = new Date();
+    const record = {
+        timestamp: now.toISOString(),
+        receivedAt: now.toLocaleString('en-US', { hour12: false }),
+        ...base
+    };
+    record.derived = {
+        hasHtml: processed.HtmlBody ? 'Yes' : 'No',
+        attachmentCount: processed.Attachments?.length || 0,
+        categoryScores: moderation.text.categoryScores || {},
+        originalTooLong: JSON.stringify(base.original ?? null).length > SHEETS_CELL_LIMIT,
+        // Only the suspicious links: [{ url, host, issues: ['textMismatch', ...] }]
+        flaggedLinks: (base.verdict.links?.links || [])
+            .filter(link => link.issues.length)
+            .map(link => ({ url: link.finalUrl || link.url, host: link.host, issues: link.issues.map(issue => issue.type) })),
+        combined: {
+            postmarkJSON: base.original,
+            moderationResults: base.verdict.moderation,
+            decision: base.verdict.decision,
+            links: base.verdict.links,
+            classification: base.verdict.classification,
+            timestamp: record.timestamp
+        }
+    };
+    return record;
+}
+
+/**
+ * Look up one field of the record
+ * @param {Object} record - From buildRecord
+ * @param {*} spec - Path string or { path, default }
+ * @returns {*} - The value, or the default when it is missing or empty
+ */
+function resolveField(record, spec) {
+    const { path: fieldPath, default: fallback } = typeof spec === 'string' ? { path: spec } : spec;
+    const value = fieldPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), record);
+    return value === undefined || value === null || value === '' ? (fallback ?? null) : value;
+}
+
+/**
+ * Turn a value into a single cell (Sheets column or SQLite text column)
+ * @param {*} value - Field value
+ * @returns {string} - Objects as JSON, everything else as a string
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Remove control characters and cut to the Sheets cell limit
+ * @param {string} value - Cell text
+ * @returns {string} - Safe cell text
+ */
+function sanitizeForSheets(value) {
+    return value
+        .replace(/[\x00-\x09\x0B-\x0C\x0E-\x1F\x7F]/g, '')
+        .substring(0, SHEETS_CELL_LIMIT);
+}
+
+/**
+ * Build what a sink stores for one record
+ * @param {Object} sink - Loaded sink
+ * @param {Object} record - From buildRecord
+ * @returns {Object} - Outbox payload: { data: row } for Sheets, otherwise the mapped object
+ */
+function mapRecord(sink, record) {
+    if (sink.type === 'googleSheets') {
+        return { data: sink.mapping.columns.map(spec => sanitizeForSheets(toCell(resolveField(record, spec)))) };
+    }
+    const mapped = {};
+    Object.entries(sink.mapping.fields).forEach(([name, spec]) => {
+        mapped[name] = resolveField(record, spec);
+    });
+    return mapped;
+}
+
+// SQLite handles by file, opened on first use (better-sqlite3 is only needed when a sqlite sink is configured)
+const sqliteDatabases = {};
+
+/**
+ * Open a SQLite database file
+ * @param {string} file - Database path
+ * @returns {Object} - better-sqlite3 Database
+ */
+function openSqlite(file) {
+    if (!sqliteDatabases[file]) {
+        const Database = require('better-sqlite3');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        sqliteDatabases[file] = new Database(file);
+    }
+    return sqliteDatabases[file];
+}
+
+// One function per sink type: async (sink, payload) => void, throws on failure
+const deliverers = {
+    // Apps Script Web App that appends payload.data as a row and answers { status: 'success' }
+    async googleSheets(sink, payload) {
+        const response = await fetch(sink.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            timeout: sink.timeoutMs || 30000
+        });
+
+        const result = await response.json();
+        console.log(`Apps Script response (${sink.name}):`, JSON.stringify(result, null, 2));
+
+        if (result.status !== 'success') {
+            throw new Error(`Failed to save to Google Sheets: ${result.message}`);
+        }
+        console.log(`Email data saved to Google Sheets (${sink.name})`);
+    },
+
+    // Any HTTP endpoint that accepts the record as JSON; non-2xx is a failure
+    async webhook(sink, payload) {
+        const response = await fetch(sink.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(sink.headers || {}) },
+            body: JSON.stringify(payload),
+            timeout: sink.timeoutMs || 30000
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        console.log(`Record posted to ${sink.name}`);
+    },
+
+    // One JSON object per line, appended
+    async jsonl(sink, payload) {
+        await fs.promises.mkdir(path.dirname(sink.path), { recursive: true });
+        await fs.promises.appendFile(sink.path, JSON.stringify(payload) + '\n');
+    },
+
+    // One row per record; the table is created, and new mapping fields added as columns, as needed
+    async sqlite(sink, payload) {
+        const db = openSqlite(sink.path);
+        const table = sink.table || 'emails';
+        const columns = Object.keys(payload);
+        db.prepare(`CREATE TABLE IF NOT EXISTS "${table}" (id INTEGER PRIMARY KEY AUTOINCREMENT)`).run();
+        const existing = new Set(db.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name));
+        columns.filter(column => !existing.has(column)).forEach(column => {
+            db.prepare(`ALTER TABLE "${table}" ADD COLUMN "${column}" TEXT`).run();
+        });
+        db.prepare(`INSERT INTO "${table}" (${columns.map(column => `"${column}"`).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+            .run(...columns.map(column => toCell(payload[column])));
+    }
+};
+
+/**
+ * The redaction policy for a sink; STRICT_POLICY when there is none (e.g. a sink named after no policy)
+ * @param {Object} sink - Loaded sink
+ * @param {Object} redactionConfig - filterConfig.redaction
+ * @returns {Object} - Redaction policy
+ */
+function policyFor(sink, redactionConfig) {
+    const name = sink.redaction || sink.name;
+    if (redactionConfig[name]) {
+        return redactionConfig[name];
+    }
+    if (!warnedNoPolicy.has(name)) {
+        warnedNoPolicy.add(name);
+        console.warn(`No redaction policy '${name}' for sink ${sink.name}, redacting everything it receives`);
+    }
+    return STRICT_POLICY;
+}
+
+/**
+ * Write one evaluated email to every sink that wants its verdict
+ * @param {Object} data - { processed, original, verdict }
+ * @param {Object} [redactionConfig] - filterConfig.redaction
+ * @param {Array} [targetSinks] - Sinks to use instead of all loaded ones
+ * @returns {Promise<Object>} - sink name -> true if written on the first attempt (otherwise queued for retry)
+ */
+async function saveToSinks(data, redactionConfig = {}, targetSinks = sinks) {
+    const results = {};
+    const action = data.verdict.decision.action;
+    for (const sink of targetSinks) {
+        if (!sink.actions.includes(action)) continue;
+        try {
+            const record = buildRecord(data, policyFor(sink, redactionConfig));
+            results[sink.name] = await enqueue(sink.name, mapRecord(sink, record));
+        } catch (error) {
+            console.error(`Error saving to sink ${sink.name}:`, error);
+            results[sink.name] = false;
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    MAPPING_PRESETS,
+    loadSinks,
+    describeSinks,
+    getSinkNames,
+    isConfiguredSink,
+    getSinks,
+    validateSink,
+    buildRecord,
+    mapRecord,
+    saveToSinks
+};
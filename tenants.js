@@ -0,0 +1,318 @@
+const path = require('path');
+const { readJsonFile, createJsonWriter } = require('./fileStore');
+const { RULE_GROUPS, validateRuleGroup, normalizeRuleGroup } = require('./configStore');
+const { parseSender } = require('./addressParser');
+const { matchDomain, matchUsername } = require('./domainMatcher');
+const { getSinkNames, isConfiguredSink } = require('./sinks');
+
+/**
+ * Per-recipient filter policies, for an inbound server that takes mail for several teams.
+ * Tenants live in TENANTS_CONFIG_PATH (default config/tenants.json):
+ *   {
+ *     "defaultSinks": ["sheets"],
+ *     "tenants": [{
+ *       "name": "support",
+ *       "recipients": ["support@acme.com", "help.acme.com"],
+ *       "mailboxHashes": ["support"],
+ *       "overrides": { "length": { "max": 20000 }, "usernames": { "whitelist": ["partner@vendor.com"] } },
+ *       "sinks": ["support-sheet"]
+ *     }]
+ *   }
+ * - recipients: full addresses (a "+tag" on the recipient is ignored) or domains (subdomains included)
+ * - mailboxHashes: Postmark MailboxHash values (the "+hash" of the inbound address)
+ * - overrides: fields per rule group laid over the default filterConfig group, like a PATCH through the
+ *   admin API; everything not overridden is inherited, including later edits to the default
+ * - sinks: names of sinks (see sinks.js) for this tenant's verdicts. Without it the tenant uses the default
+ *   sinks: defaultSinks, or if that isn't set every sink no tenant claims. Sink names must be configured
+ *   (so load the sinks first), otherwise the tenant is skipped, or defaultSinks ignored.
+ * An email is matched on MailboxHash first, then OriginalRecipient (the envelope recipient; see ingest.js
+ * for where each source takes it from). The To header is never used, since the sender writes it and could
+ * otherwise pick the most permissive tenant. The first tenant (in file order) that matches wins.
+ * Anything unmatched gets the default policy.
+ */
+
+const TENANTS_CONFIG_PATH = process.env.TENANTS_CONFIG_PATH || path.join(__dirname, 'config', 'tenants.json');
+const DEFAULT_TENANT = 'default';
+
+let tenants = [];
+let defaultSinks = null;
+let savedFile = {}; // the tenants file as last read or written, which edits are made to
+const saveFile = createJsonWriter(TENANTS_CONFIG_PATH, 'tenant policies', { durable: true });
+
+/**
+ * Validate a tenant definition against the default config it inherits from
+ * @param {Object} tenant - Tenant definition
+ * @param {Object} defaults - The live filterConfig
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateTenant(tenant, defaults) {
+    if (!tenant || typeof tenant !== 'object') {
+        return ['tenant must be an object'];
+    }
+    const errors = [];
+    if (typeof tenant.name !== 'string' || !/^[\w-]+$/.test(tenant.name) || tenant.name === DEFAULT_TENANT) {
+        errors.push(`name must be letters, digits, _ or - (and not '${DEFAULT_TENANT}')`);
+    }
+    ['recipients', 'mailboxHashes', 'sinks'].forEach(key => {
+        const list = tenant[key];
+        if (list !== undefined && (!Array.isArray(list) || !list.every(entry => typeof entry === 'string' && entry.trim()))) {
+            errors.push(`${key} must be an array of non-empty strings`);
+        }
+    });
+    if (Array.isArray(tenant.sinks)) {
+        const unknown = tenant.sinks.filter(name => !isConfiguredSink(name));
+        if (unknown.length) {
+            errors.push(`sinks has unknown sink names: ${unknown.join(', ')}`);
+        }
+    }
+    if (!tenant.recipients?.length && !tenant.mailboxHashes?.length) {
+        errors.push('recipients or mailboxHashes is required');
+    }
+
+    const overrides = tenant.overrides || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return [...errors, 'overrides must be an object'];
+    }
+    Object.entries(overrides).forEach(([group, value]) => {
+        if (!RULE_GROUPS.includes(group)) {
+            errors.push(`overrides.${group} is not a rule group (expected one of: ${RULE_GROUPS.join(', ')})`);
+            return;
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`overrides.${group} must be an object`);
+            return;
+        }
+        // Checked as the tenant will see it: the default group with the overrides on top
+        validateRuleGroup(group, { ...defaults[group], ...value })
+            .forEach(error => errors.push(`overrides.${group}: ${error}`));
+    });
+    return errors;
+}
+
+/**
+ * Load tenant policies from disk. Invalid tenants are skipped with a message, like invalid rule groups.
+ * @param {Object} defaults - The live filterConfig, used to validate the overrides
+ * @returns {Array} - The loaded tenants
+ */
+function loadTenants(defaults) {
+    const saved = readJsonFile(TENANTS_CONFIG_PATH, null);
+    savedFile = saved || {};
+    const loaded = [];
+    (saved?.tenants || []).forEach((definition, i) => {
+        const errors = validateTenant(definition, defaults);
+        if (errors.length) {
+            console.error(`Ignoring invalid tenant #${i} (${definition?.name || 'unnamed'}) in ${TENANTS_CONFIG_PATH}:`, errors);
+            return;
+        }
+        if (loaded.some(tenant => tenant.name === definition.name)) {
+            console.error(`Ignoring duplicate tenant name '${definition.name}'`);
+            return;
+        }
+        const recipients = (definition.recipients || []).map(entry => entry.trim().toLowerCase());
+        const overrides = {};
+        Object.entries(definition.overrides || {}).forEach(([group, value]) => {
+            overrides[group] = normalizeRuleGroup(value);
+        });
+        loaded.push({
+            name: definition.name,
+            // Split once so the matcher caches (keyed on these arrays) are reused for every email
+            addresses: recipients.filter(entry => entry.includes('@')),
+            domains: recipients.filter(entry => !entry.includes('@')),
+            mailboxHashes: (definition.mailboxHashes || []).map(hash => hash.trim().toLowerCase()),
+            overrides,
+            sinks: definition.sinks || null,
+            merged: {} // rule group -> { base, value }, see buildConfig
+        });
+    });
+
+    tenants = loaded;
+    defaultSinks = null;
+    if (saved?.defaultSinks !== undefined) {
+        const names = saved.defaultSinks;
+        const unknown = Array.isArray(names) ? names.filter(name => !isConfiguredSink(name)) : [];
+        if (!Array.isArray(names) || unknown.length) {
+            console.error(`Ignoring defaultSinks in ${TENANTS_CONFIG_PATH}:`, Array.isArray(names)
+                ? `unknown sink names: ${unknown.join(', ')}` : 'must be an array of sink names');
+        } else {
+            defaultSinks = names;
+        }
+    }
+    if (saved) {
+        console.log(`Loaded ${tenants.length} tenant polic${tenants.length === 1 ? 'y' : 'ies'} from ${TENANTS_CONFIG_PATH}`);
+    }
+    return tenants;
+}
+
+/**
+ * The effective config for a tenant: default groups, with the overridden ones merged.
+ * Merged groups are cached until the default group they were built from is replaced
+ * (config edits always assign a new object, see configStore.js).
+ * @param {Object} tenant - Loaded tenant
+ * @param {Object} defaults - The live filterConfig
+ * @returns {Object} - Config in the filterConfig shape
+ */
+function buildConfig(tenant, defaults) {
+    const config = { ...defaults };
+    Object.entries(tenant.overrides).forEach(([group, value]) => {
+        const cached = tenant.merged[group];
+        if (!cached || cached.base !== defaults[group]) {
+            tenant.merged[group] = { base: defaults[group], value: { ...defaults[group], ...value } };
+        }
+        config[group] = tenant.merged[group].value;
+    });
+    return config;
+}
+
+/**
+ * Sink names for a tenant's verdicts
+ * @param {Object|null} tenant - Loaded tenant, or null for the default policy
+ * @returns {Array} - Sink names
+ */
+function sinkNamesFor(tenant) {
+    if (tenant?.sinks) return tenant.sinks;
+    if (defaultSinks) return defaultSinks;
+    const claimed = new Set(tenants.flatMap(t => t.sinks || []));
+    return getSinkNames().filter(name => !claimed.has(name));
+}
+
+/**
+ * Build what the pipeline needs to know about a tenant
+ * @param {Object|null} tenant - Loaded tenant, or null for the default policy
+ * @param {Object} defaults - The live filterConfig
+ * @param {string|null} matchedBy - What selected it, e.g. 'MailboxHash'
+ * @returns {Object} - { name, matchedBy, config, sinks }
+ */
+function describeResolved(tenant, defaults, matchedBy) {
+    return {
+        name: tenant ? tenant.name : DEFAULT_TENANT,
+        matchedBy,
+        config: tenant ? buildConfig(tenant, defaults) : defaults,
+        sinks: sinkNamesFor(tenant)
+    };
+}
+
+/**
+ * Split a recipient list into parsed recipients: 'A <a@x.com>, "B, Jr" <b@y.com>' -> two recipients
+ * @param {string} value - OriginalRecipient value
+ * @returns {Array} - Results of parseSender, one per address
+ */
+function parseRecipients(value) {
+    return String(value || '')
+        .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/) // commas outside quoted display names
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => parseSender({ From: part }))
+        .filter(recipient => recipient.domain);
+}
+
+/**
+ * Find the tenant for a recipient address
+ * @param {Object} recipient - Result of parseSender for the recipient
+ * @returns {Object|null} - Loaded tenant, or null
+ */
+function findByRecipient(recipient) {
+    return tenants.find(tenant => {
+        const address = matchUsername(tenant.addresses, recipient);
+        return (address && address.includes('@')) || matchDomain(tenant.domains, recipient.domain);
+    }) || null;
+}
+
+/**
+ * Pick the policy for an email from its MailboxHash or OriginalRecipient
+ * @param {Object} emailData - Email in the internal shape (see ingest.js)
+ * @param {Object} defaults - The live filterConfig
+ * @returns {Object} - { name, matchedBy, config, sinks }; name is 'default' when no tenant matches
+ */
+function resolveTenant(emailData, defaults) {
+    if (!tenants.length) {
+        return describeResolved(null, defaults, null);
+    }
+
+    const hash = String(emailData.MailboxHash || '').trim().toLowerCase();
+    if (hash) {
+        const tenant = tenants.find(t => t.mailboxHashes.includes(hash));
+        if (tenant) return describeResolved(tenant, defaults, 'MailboxHash');
+    }
+    for (const recipient of parseRecipients(emailData.OriginalRecipient)) {
+        const tenant = findByRecipient(recipient);
+        if (tenant) return describeResolved(tenant, defaults, 'OriginalRecipient');
+    }
+    return describeResolved(null, defaults, null);
+}
+
+/**
+ * Look up a tenant by name (e.g. the one stored with a quarantined email)
+ * @param {string} name - Tenant name; 'default' or unknown names give the default policy
+ * @param {Object} defaults - The live filterConfig
+ * @returns {Object} - { name, matchedBy, config, sinks }
+ */
+function getTenant(name, defaults) {
+    const tenant = tenants.find(t => t.name === name) || null;
+    return describeResolved(tenant, defaults, null);
+}
+
+/**
+ * The loaded tenants for the admin API
+ * @returns {Array} - [{ name, recipients, mailboxHashes, overrides, sinks }]
+ */
+function listTenants() {
+    return [
+        ...tenants.map(tenant => ({
+            name: tenant.name,
+            recipients: [...tenant.addresses, ...tenant.domains],
+            mailboxHashes: tenant.mailboxHashes,
+            overrides: tenant.overrides,
+            sinks: sinkNamesFor(tenant)
+        })),
+        { name: DEFAULT_TENANT, recipients: [], mailboxHashes: [], overrides: {}, sinks: sinkNamesFor(null) }
+    ];
+}
+
+/**
+ * Add an entry to a list the tenant overrides (and drop it from the opposite list if that is overridden too),
+ * then persist the tenants file. Lists the tenant inherits are edited in the default config instead
+ * (see configStore.addListEntry), so this returns null for them.
+ * @param {string} name - Tenant name
+ * @param {string} group - 'domains' or 'usernames'
+ * @param {string} list - 'whitelist' or 'blacklist'
+ * @param {string} entry - Domain or address to add
+ * @param {Object} defaults - The live filterConfig, to validate the result
+ * @returns {Promise<Object|null>} - { errors } or { value } like updateRuleGroup, or null if the tenant doesn't override the list
+ */
+async function addTenantListEntry(name, group, list, entry, defaults) {
+    const tenant = tenants.find(t => t.name === name);
+    const override = tenant?.overrides[group];
+    if (!override || !Array.isArray(override[list])) {
+        return null;
+    }
+    const opposite = list === 'whitelist' ? 'blacklist' : 'whitelist';
+    const normalized = String(entry).trim().toLowerCase();
+    const value = { ...override, [list]: [...new Set([...override[list], normalized])] };
+    if (Array.isArray(override[opposite])) {
+        value[opposite] = override[opposite].filter(existing => existing !== normalized);
+    }
+    const errors = validateRuleGroup(group, { ...defaults[group], ...value });
+    if (errors.length) {
+        return { errors };
+    }
+
+    // New objects and arrays, so the merged-config and matcher caches are rebuilt
+    tenant.overrides = { ...tenant.overrides, [group]: value };
+    tenant.merged = {};
+    const definitions = (savedFile.tenants || []).map(definition => (definition.name === name
+        ? { ...definition, overrides: { ...definition.overrides, [group]: value } }
+        : definition));
+    savedFile = { ...savedFile, tenants: definitions };
+    await saveFile(savedFile);
+    return { value };
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    loadTenants,
+    validateTenant,
+    resolveTenant,
+    getTenant,
+    listTenants,
+    addTenantListEntry
+};
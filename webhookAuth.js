@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./adminAuth');
+
+/**
+ * Verification for inbound webhook routes. Every method that is configured must pass:
+ *   WEBHOOK_BASIC_USER / WEBHOOK_BASIC_PASSWORD - HTTP Basic credentials (what Postmark puts in the inbound URL)
+ *   WEBHOOK_HMAC_SECRET                         - HMAC-SHA256 of the raw body, sent in WEBHOOK_HMAC_HEADER
+ *                                                 (default x-webhook-signature) as hex or base64, optionally "sha256=<sig>"
+ *   WEBHOOK_IP_ALLOWLIST                        - comma-separated IPs or IPv4 CIDR ranges, e.g. "3.134.147.250,50.31.156.0/24"
+ * If none are set the route stays open and we warn about it.
+ */
+
+/**
+ * Convert a dotted IPv4 address to a 32-bit number
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} - Numeric address, or null if it isn't IPv4
+ */
+function ipv4ToNumber(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || Number(p) > 255)) {
+        return null;
+    }
+    return parts.reduce((acc, part) => (acc * 256) + Number(part), 0);
+}
+
+/**
+ * Check whether an address matches an allowlist entry (exact IP or IPv4 CIDR)
+ * @param {string} ip - Client address
+ * @param {string} entry - Allowlist entry
+ * @returns {boolean} - True if it matches
+ */
+function ipMatches(ip, entry) {
+    const address = ip.replace(/^::ffff:/, ''); // IPv4-mapped IPv6 from dual-stack sockets
+    if (!entry.includes('/')) {
+        return address === entry;
+    }
+
+    const [range, bitsText] = entry.split('/');
+    const bits = Number(bitsText);
+    const ipNum = ipv4ToNumber(address);
+    const rangeNum = ipv4ToNumber(range);
+    if (ipNum === null || rangeNum === null || !Number.isInteger(bits) || bits < 0 || bits > 32) {
+        return false;
+    }
+    const size = 2 ** (32 - bits);
+    return Math.floor(ipNum / size) === Math.floor(rangeNum / size);
+}
+
+/**
+ * Check HTTP Basic credentials
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the credentials match
+ */
+function checkBasicAuth(req) {
+    const header = req.get('authorization') || '';
+    const [scheme, encoded] = header.split(' ');
+    if (scheme !== 'Basic' || !encoded) {
+        return false;
+    }
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+        return false;
+    }
+    const user = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+    // Check both so a wrong username takes as long as a wrong password
+    const userOk = safeEqual(user, process.env.WEBHOOK_BASIC_USER || '');
+    const passwordOk = safeEqual(password, process.env.WEBHOOK_BASIC_PASSWORD || '');
+    return userOk && passwordOk;
+}
+
+/**
+ * Check the HMAC signature header against the raw request body
+ * @param {Object} req - Express request (rawBody is captured by the body parsers in app.js)
+ * @returns {boolean} - True if the signature is valid
+ */
+function checkHmacSignature(req) {
+    const headerName = process.env.WEBHOOK_HMAC_HEADER || 'x-webhook-signature';
+    const provided = (req.get(headerName) || '').replace(/^sha256=/i, '').trim();
+    if (!provided || !req.rawBody) {
+        return false;
+    }
+
+    const hmac = crypto.createHmac('sha256', process.env.WEBHOOK_HMAC_SECRET).update(req.rawBody);
+    const digest = hmac.digest();
+    return safeEqual(provided.toLowerCase(), digest.toString('hex')) || safeEqual(provided, digest.toString('base64'));
+}
+
+/**
+ * Reject a webhook request and log why
+ */
+function reject(req, res, status, error) {
+    console.warn(`Rejected webhook ${req.method} ${req.originalUrl} from ${req.ip}: ${error}`);
+    res.status(status).json({ success: false, error });
+}
+
+/**
+ * Express middleware verifying inbound webhook requests.
+ * 403 when the source IP isn't allowed, 401 when credentials or signature are missing or wrong.
+ */
+function verifyWebhook(req, res, next) {
+    const allowlist = (process.env.WEBHOOK_IP_ALLOWLIST || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (allowlist.length && !allowlist.some(entry => ipMatches(req.ip || '', entry))) {
+        return reject(req, res, 403, 'Source IP not allowed');
+    }
+
+    if (process.env.WEBHOOK_BASIC_USER || process.env.WEBHOOK_BASIC_PASSWORD) {
+        if (!checkBasicAuth(req)) {
+            res.set('WWW-Authenticate', 'Basic realm="webhook"');
+            return reject(req, res, 401, 'Invalid or missing Basic credentials');
+        }
+    }
+
+    if (process.env.WEBHOOK_HMAC_SECRET && !checkHmacSignature(req)) {
+        return reject(req, res, 401, 'Invalid or missing signature');
+    }
+
+    next();
+}
+
+/**
+ * Whether any verification method is configured (used to warn about an open webhook at startup)
+ * @returns {boolean} - True if at least one method is set
+ */
+function isWebhookAuthConfigured() {
+    return Boolean(
+        process.env.WEBHOOK_IP_ALLOWLIST ||
+        process.env.WEBHOOK_BASIC_USER ||
+        process.env.WEBHOOK_BASIC_PASSWORD ||
+        process.env.WEBHOOK_HMAC_SECRET
+    );
+}
+
+module.exports = {
+    verifyWebhook,
+    isWebhookAuthConfigured,
+    ipMatches
+};
@@ -0,0 +1,77 @@
+const zlib = require('zlib');
+
+/**
+ * Just enough of a ZIP reader to look inside attachments (DOCX/XLSX/PPTX are ZIPs too):
+ * list entries from the central directory and inflate the ones we ask for.
+ */
+
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024; // stop zip bombs: never inflate more than this per entry
+
+/**
+ * List the entries of a ZIP archive
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Array} - [{ name, method, compressedSize, size, offset, encrypted }], empty if it isn't a readable ZIP
+ */
+function listZipEntries(buffer) {
+    // End of central directory record: at least 22 bytes from the end, possibly followed by a comment
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) return [];
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let pos = buffer.readUInt32LE(eocd + 16);
+    const entries = [];
+    for (let i = 0; i < count && pos + 46 <= buffer.length; i++) {
+        if (buffer.readUInt32LE(pos) !== 0x02014b50) break;
+        const nameLength = buffer.readUInt16LE(pos + 28);
+        const extraLength = buffer.readUInt16LE(pos + 30);
+        const commentLength = buffer.readUInt16LE(pos + 32);
+        entries.push({
+            name: buffer.toString('utf8', pos + 46, pos + 46 + nameLength),
+            encrypted: (buffer.readUInt16LE(pos + 8) & 1) === 1,
+            method: buffer.readUInt16LE(pos + 10),
+            compressedSize: buffer.readUInt32LE(pos + 20),
+            size: buffer.readUInt32LE(pos + 24),
+            offset: buffer.readUInt32LE(pos + 42)
+        });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Read one entry's contents
+ * @param {Buffer} buffer - Archive bytes
+ * @param {Object} entry - Entry from listZipEntries
+ * @param {number} [maxBytes] - Inflate at most this much (never more than MAX_ENTRY_BYTES)
+ * @returns {Buffer|null} - Contents, or null if encrypted, unsupported, too large or corrupt
+ */
+function readZipEntry(buffer, entry, maxBytes = MAX_ENTRY_BYTES) {
+    const limit = Math.min(maxBytes, MAX_ENTRY_BYTES);
+    if (entry.encrypted || entry.size > limit) return null;
+    try {
+        if (buffer.readUInt32LE(entry.offset) !== 0x04034b50) return null;
+        const nameLength = buffer.readUInt16LE(entry.offset + 26);
+        const extraLength = buffer.readUInt16LE(entry.offset + 28);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;                      // stored
+        if (entry.method === 8) {                                 // deflate
+            return zlib.inflateRawSync(data, { maxOutputLength: limit });
+        }
+        return null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    listZipEntries,
+    readZipEntry
+};